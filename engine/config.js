@@ -0,0 +1,519 @@
+/*
+GAME CONFIGURATION
+
+The game's maths and board come from one versioned JSON file
+(game-config.json). validateConfig() checks a parsed file against the
+schema below and lists every problem; createConfig() validates and turns
+it into the config object the engine, physics and front end read.
+
+The JSON names symbols by id ("LOW_A"); the config object keeps the id ->
+emoji map in `symbols`, keys pays by emoji and lists reel strips as emoji,
+which is what appears on the reels.
+
+    schemaVersion   2
+    version         config version string, e.g. "2.0.0"
+    symbols         { id: emoji }, must include WILD
+    reelStrips      { base: [strip for reels 0-4], bonus: optional, same shape }
+                    each strip is a list of symbol ids, at least 3 long;
+                    a spin shows 3 consecutive positions of each strip
+    paytable        { id: [pay for 3, 4, 5] } for every line symbol (bet multiples)
+    scatter         optional { symbol: id, pays: [3, 4, 5+], spins: [3, 4, 5+] }
+                    the scatter pays anywhere on the grid, never on lines, and
+                    awards extra spins (retriggers during the bonus); it has
+                    no paytable row
+    paylines        [[row for reels 0-4], ...], rows 0-2
+    evaluation      optional 'paylines' (default) or 'ways': pay every
+                    left-to-right way through the grid (243 ways) instead
+                    of the paylines; paytable pays are then per way
+    bonus           { spins, multiplier }
+    advertisedRtp   RTP shown to players, e.g. 0.96
+    multiBall       { spins: 'sum' | 'max', bonusSpins: 'once' | 'each' }
+    plinko          { rows, layout, pockets: [pocket], collect }
+                    pocket types, each with a label:
+                      SPINS       { award }  reel spins
+                      BONUS       {}         bonus.spins at bonus.multiplier
+                      CASH        { pays }   pays x bet straight away
+                      MULTIPLIER  { award, multiplier }  spins whose wins
+                                  are all multiplied
+                      COLLECT     {}         pays the collect pot
+                    collect: { contribution, seed } (bet multiples), needed
+                    with COLLECT pockets: every drop on a table that has a
+                    COLLECT pocket adds contribution to the pot, which is
+                    kept in bet multiples; a collect pays it at that drop's
+                    bet and restarts it at seed
+                    labels name pockets in the tools and the round log;
+                    the front end names them from its locale catalogue
+                    rows: 8, 12 or 16; layout: 'triangle' (default) or
+                    'staggered' peg grid (see physics.js); the last peg row
+                    has one gap per pocket, so a triangle needs at least
+                    rows - 1 pockets
+                    or, for player-selectable risk, instead of pockets:
+                    riskLevels { name: [pockets], ... } (same pocket count
+                    each, e.g. low / medium / high) and defaultRisk: name
+    board           { width, height, obstacles } physics units
+                    obstacles: optional [{ type, modifier, ... }], fixed shapes
+                    the balls collide with (see physics.js). `modifier`, if
+                    set, is the modifier that switches it on (leftWall |
+                    rightWall); without one it is always there.
+                    wall: { x, y, angle, length, thickness, restitution }
+                    a line segment centred on x, y; angle in degrees
+                    clockwise from pointing right; restitution 0-1
+    responsibleGaming  optional operator settings (see protection.js)
+                    { minRoundMs, realityCheckMinutes }: shortest time from
+                    one drop to the next (default 0) and the default
+                    reality-check interval (default 60)
+    winTiers        optional { big, mega, epic }: the bet multiple a spin's
+                    win has to reach for each celebration, ascending
+                    (default 10, 25, 50)
+    currencies      optional { code: { bets, defaultBet, openingBalance } }
+                    keyed by ISO 4217 code; amounts are whole minor units
+                    of that currency (pence, cents - yen has none). bets
+                    is the bet ladder, ascending; defaultBet one of them.
+                    Default: GBP, bets 10p-£2, 20p, opening £100
+    defaultCurrency with currencies: the code played unless the front end
+                    picks another (default the first listed)
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('../game-config.json'));
+    } else {
+        // The browser fetches game-config.json itself (see game.js)
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory(null));
+    }
+})(typeof self !== 'undefined' ? self : this, function (defaultJSON) {
+
+    const SCHEMA_VERSION = 2;
+    const REELS = 5;
+    const ROWS = 3;
+    const POCKET_TYPES = ['SPINS', 'BONUS', 'CASH', 'MULTIPLIER', 'COLLECT'];
+    const EVALUATION_MODES = ['paylines', 'ways'];
+    const PLINKO_ROWS = [8, 12, 16];
+    const PLINKO_LAYOUTS = ['triangle', 'staggered'];
+    const OBSTACLE_TYPES = ['wall'];
+    const WIN_TIERS = ['big', 'mega', 'epic'];
+    const OBSTACLE_MODIFIERS = ['leftWall', 'rightWall'];
+    const DEFAULT_CURRENCIES = { GBP: { bets: [10, 20, 50, 100, 200], defaultBet: 20, openingBalance: 10000 } };
+
+    class ConfigError extends Error {
+        constructor(errors) {
+            super('Invalid game config:\n  ' + errors.join('\n  '));
+            this.name = 'ConfigError';
+            this.errors = errors;
+        }
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Own keys only: `in` would also find toString and the like
+    function hasKey(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    function isPositiveInteger(value) {
+        return Number.isInteger(value) && value > 0;
+    }
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    // Returns a list of problems; empty when the config is usable
+    function validateConfig(raw) {
+        const errors = [];
+
+        if (!isObject(raw)) {
+            return ['config must be a JSON object'];
+        }
+        if (raw.schemaVersion !== SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${SCHEMA_VERSION} (got ${JSON.stringify(raw.schemaVersion)})`);
+        }
+        if (typeof raw.version !== 'string' || !raw.version) {
+            errors.push('version must be a non-empty string');
+        }
+
+        // Symbols
+        const symbolIds = isObject(raw.symbols) ? Object.keys(raw.symbols) : [];
+        if (!isObject(raw.symbols) || symbolIds.length === 0) {
+            errors.push('symbols must map symbol ids to emoji');
+        } else {
+            const seen = new Set();
+            for (let id of symbolIds) {
+                const char = raw.symbols[id];
+                if (typeof char !== 'string' || !char) {
+                    errors.push(`symbols.${id} must be a non-empty string`);
+                } else if (seen.has(char)) {
+                    errors.push(`symbols.${id} reuses ${char}`);
+                }
+                seen.add(char);
+            }
+            if (!raw.symbols.WILD) {
+                errors.push('symbols must include WILD');
+            }
+        }
+
+        // Reel strips
+        if (!isObject(raw.reelStrips)) {
+            errors.push('reelStrips must be an object with base (and optionally bonus) strips');
+        } else {
+            checkReelStrips(raw.reelStrips.base, 'reelStrips.base', symbolIds, errors);
+            if (raw.reelStrips.bonus !== undefined) {
+                checkReelStrips(raw.reelStrips.bonus, 'reelStrips.bonus', symbolIds, errors);
+            }
+        }
+
+        // Scatter
+        let scatterId = null;
+        if (raw.scatter !== undefined) {
+            if (!isObject(raw.scatter) || !symbolIds.includes(raw.scatter.symbol)) {
+                errors.push('scatter.symbol must be a known symbol id');
+            } else if (raw.scatter.symbol === 'WILD') {
+                errors.push('scatter.symbol cannot be the WILD');
+            } else {
+                scatterId = raw.scatter.symbol;
+            }
+            if (isObject(raw.scatter)) {
+                checkThreeCounts(raw.scatter.pays, 'scatter.pays', errors, pay => typeof pay === 'number' && pay >= 0);
+                checkThreeCounts(raw.scatter.spins, 'scatter.spins', errors, spins => Number.isInteger(spins) && spins >= 0);
+            }
+        }
+
+        // Paytable: every line symbol, nothing else
+        const lineSymbolIds = symbolIds.filter(id => id !== scatterId);
+        checkSymbolTable(raw, 'paytable', lineSymbolIds, errors, (id, pays) => {
+            if (!Array.isArray(pays) || pays.length !== 3) {
+                errors.push(`paytable.${id} must list 3 pays (for 3, 4 and 5 of a kind)`);
+            } else if (pays.some(pay => typeof pay !== 'number' || pay < 0)) {
+                errors.push(`paytable.${id} pays must be non-negative numbers`);
+            }
+        });
+
+        // Paylines
+        if (!Array.isArray(raw.paylines) || raw.paylines.length === 0) {
+            errors.push('paylines must be a non-empty array');
+        } else {
+            raw.paylines.forEach((line, i) => {
+                if (!Array.isArray(line) || line.length !== REELS) {
+                    errors.push(`paylines[${i}] must have ${REELS} positions (one per reel)`);
+                } else if (line.some(row => !Number.isInteger(row) || row < 0 || row >= ROWS)) {
+                    errors.push(`paylines[${i}] rows must be 0-${ROWS - 1}`);
+                }
+            });
+        }
+
+        if (raw.evaluation !== undefined && !EVALUATION_MODES.includes(raw.evaluation)) {
+            errors.push(`evaluation must be one of ${EVALUATION_MODES.join(', ')}`);
+        }
+
+        // Bonus, RTP, multi-ball
+        if (!isObject(raw.bonus) || !isPositiveInteger(raw.bonus.spins) ||
+            typeof raw.bonus.multiplier !== 'number' || raw.bonus.multiplier <= 0) {
+            errors.push('bonus must have a positive integer spins and a positive multiplier');
+        }
+        if (typeof raw.advertisedRtp !== 'number' || raw.advertisedRtp <= 0) {
+            errors.push('advertisedRtp must be a positive number');
+        }
+        if (!isObject(raw.multiBall) ||
+            !['sum', 'max'].includes(raw.multiBall.spins) ||
+            !['once', 'each'].includes(raw.multiBall.bonusSpins)) {
+            errors.push("multiBall must be { spins: 'sum' | 'max', bonusSpins: 'once' | 'each' }");
+        }
+
+        // Plinko board
+        if (!isObject(raw.plinko)) {
+            errors.push('plinko must be an object');
+        } else {
+            if (!PLINKO_ROWS.includes(raw.plinko.rows)) {
+                errors.push(`plinko.rows must be one of ${PLINKO_ROWS.join(', ')}`);
+            }
+            if (raw.plinko.layout !== undefined && !PLINKO_LAYOUTS.includes(raw.plinko.layout)) {
+                errors.push(`plinko.layout must be one of ${PLINKO_LAYOUTS.join(', ')}`);
+            }
+            const tables = pocketTables(raw.plinko);
+            if (raw.plinko.riskLevels !== undefined && raw.plinko.pockets !== undefined) {
+                errors.push('plinko must have either pockets or riskLevels, not both');
+            } else if (raw.plinko.riskLevels !== undefined) {
+                if (!isObject(raw.plinko.riskLevels) || tables.length === 0) {
+                    errors.push('plinko.riskLevels must name at least one pocket table');
+                } else if (!hasKey(raw.plinko.riskLevels, raw.plinko.defaultRisk)) {
+                    errors.push('plinko.defaultRisk must be one of the riskLevels');
+                }
+            }
+            tables.forEach(({ path, pockets }) => checkPockets(pockets, path, raw.plinko, errors));
+            // A table that is not a list has its own error above
+            const sizes = tables.filter(({ pockets }) => Array.isArray(pockets)).map(({ pockets }) => pockets.length);
+            if (sizes.some(size => size !== sizes[0])) {
+                errors.push('every plinko.riskLevels table must have the same number of pockets');
+            }
+        }
+        if (!isObject(raw.board) || !(raw.board.width > 0) || !(raw.board.height > 0)) {
+            errors.push('board must have a positive width and height');
+        } else if (raw.board.obstacles !== undefined) {
+            checkObstacles(raw.board.obstacles, errors);
+        }
+
+        // Operator responsible-gaming settings
+        if (raw.responsibleGaming !== undefined) {
+            const rg = raw.responsibleGaming;
+            if (!isObject(rg)) {
+                errors.push('responsibleGaming must be an object');
+            } else {
+                if (rg.minRoundMs !== undefined && !(Number.isInteger(rg.minRoundMs) && rg.minRoundMs >= 0)) {
+                    errors.push('responsibleGaming.minRoundMs must be a whole number of milliseconds, 0 or more');
+                }
+                if (rg.realityCheckMinutes !== undefined && !isPositiveInteger(rg.realityCheckMinutes)) {
+                    errors.push('responsibleGaming.realityCheckMinutes must be a positive integer');
+                }
+            }
+        }
+
+        if (raw.winTiers !== undefined) {
+            if (!isObject(raw.winTiers) || !WIN_TIERS.every(tier => typeof raw.winTiers[tier] === 'number' && raw.winTiers[tier] > 0)) {
+                errors.push(`winTiers must give a positive bet multiple for each of ${WIN_TIERS.join(', ')}`);
+            } else if (!(raw.winTiers.big < raw.winTiers.mega && raw.winTiers.mega < raw.winTiers.epic)) {
+                errors.push('winTiers must ascend: big < mega < epic');
+            }
+        }
+
+        if (raw.currencies !== undefined) {
+            checkCurrencies(raw.currencies, errors);
+            if (raw.defaultCurrency !== undefined && !(isObject(raw.currencies) && hasKey(raw.currencies, raw.defaultCurrency))) {
+                errors.push('defaultCurrency must be one of the currencies');
+            }
+        } else if (raw.defaultCurrency !== undefined) {
+            errors.push('defaultCurrency needs currencies');
+        }
+
+        return errors;
+    }
+
+    function checkCurrencies(currencies, errors) {
+        if (!isObject(currencies) || Object.keys(currencies).length === 0) {
+            errors.push('currencies must map at least one currency code to its bets');
+            return;
+        }
+        for (let code of Object.keys(currencies)) {
+            const path = `currencies.${code}`;
+            const currency = currencies[code];
+            if (!/^[A-Z]{3}$/.test(code)) {
+                errors.push(`${path}: currency codes are 3 capital letters (ISO 4217)`);
+            }
+            if (!isObject(currency)) {
+                errors.push(`${path} must be an object`);
+                continue;
+            }
+            const { bets, defaultBet, openingBalance } = currency;
+            if (!Array.isArray(bets) || bets.length === 0 || !bets.every(isPositiveInteger)) {
+                errors.push(`${path}.bets must list positive whole amounts in minor units`);
+            } else if (bets.some((bet, i) => i > 0 && bet <= bets[i - 1])) {
+                errors.push(`${path}.bets must ascend`);
+            } else if (!bets.includes(defaultBet)) {
+                errors.push(`${path}.defaultBet must be one of its bets`);
+            }
+            if (!isPositiveInteger(openingBalance)) {
+                errors.push(`${path}.openingBalance must be a positive whole amount in minor units`);
+            }
+        }
+    }
+
+    function checkReelStrips(strips, path, symbolIds, errors) {
+        if (!Array.isArray(strips) || strips.length !== REELS) {
+            errors.push(`${path} must list ${REELS} strips (one per reel)`);
+            return;
+        }
+        strips.forEach((strip, reel) => {
+            if (!Array.isArray(strip) || strip.length < ROWS) {
+                errors.push(`${path}[${reel}] must have at least ${ROWS} symbols`);
+                return;
+            }
+            const unknown = strip.filter(id => !symbolIds.includes(id));
+            if (unknown.length > 0) {
+                errors.push(`${path}[${reel}] has unknown symbols: ${Array.from(new Set(unknown)).join(', ')}`);
+            }
+        });
+    }
+
+    // [{ path, pockets }] for the single pockets table or each risk level
+    function pocketTables(plinko) {
+        if (isObject(plinko.riskLevels)) {
+            return Object.keys(plinko.riskLevels).map(name => ({
+                path: `plinko.riskLevels.${name}`,
+                pockets: plinko.riskLevels[name]
+            }));
+        }
+        return [{ path: 'plinko.pockets', pockets: plinko.pockets }];
+    }
+
+    function checkPockets(pockets, path, plinko, errors) {
+        if (!Array.isArray(pockets) || pockets.length < 2) {
+            errors.push(`${path} must list at least 2 pockets`);
+            return;
+        }
+        if (plinko.layout !== 'staggered' && pockets.length < plinko.rows - 1) {
+            errors.push(`${path} has ${pockets.length} pockets; a triangle of ${plinko.rows} rows needs at least ${plinko.rows - 1}`);
+        }
+        pockets.forEach((pocket, i) => {
+            if (!isObject(pocket) || !POCKET_TYPES.includes(pocket.type)) {
+                errors.push(`${path}[${i}].type must be one of ${POCKET_TYPES.join(', ')}`);
+                return;
+            }
+            if (pocket.type === 'SPINS' && !(Number.isInteger(pocket.award) && pocket.award >= 0)) {
+                errors.push(`${path}[${i}].award must be a whole number of spins`);
+            }
+            if (pocket.type === 'CASH' && !(typeof pocket.pays === 'number' && pocket.pays > 0)) {
+                errors.push(`${path}[${i}].pays must be a positive bet multiple`);
+            }
+            if (pocket.type === 'MULTIPLIER' && !(isPositiveInteger(pocket.award) &&
+                typeof pocket.multiplier === 'number' && pocket.multiplier > 0)) {
+                errors.push(`${path}[${i}] must have a positive whole award of spins and a positive multiplier`);
+            }
+            if (pocket.type === 'COLLECT' && !(isObject(plinko.collect) &&
+                plinko.collect.contribution >= 0 && plinko.collect.seed >= 0)) {
+                errors.push(`${path}[${i}] is a COLLECT pocket, so plinko.collect needs a contribution and seed of 0 or more`);
+            }
+            if (typeof pocket.label !== 'string' || !pocket.label) {
+                errors.push(`${path}[${i}].label must be a non-empty string`);
+            }
+        });
+    }
+
+    function checkObstacles(obstacles, errors) {
+        if (!Array.isArray(obstacles)) {
+            errors.push('board.obstacles must be an array');
+            return;
+        }
+        obstacles.forEach((obstacle, i) => {
+            const path = `board.obstacles[${i}]`;
+            if (!isObject(obstacle) || !OBSTACLE_TYPES.includes(obstacle.type)) {
+                errors.push(`${path}.type must be one of ${OBSTACLE_TYPES.join(', ')}`);
+                return;
+            }
+            if (obstacle.modifier !== undefined && !OBSTACLE_MODIFIERS.includes(obstacle.modifier)) {
+                errors.push(`${path}.modifier must be one of ${OBSTACLE_MODIFIERS.join(', ')}`);
+            }
+            if (obstacle.type === 'wall') {
+                if (['x', 'y', 'angle'].some(key => typeof obstacle[key] !== 'number')) {
+                    errors.push(`${path} must have a numeric x, y and angle`);
+                }
+                if (!(obstacle.length > 0) || !(obstacle.thickness > 0)) {
+                    errors.push(`${path} must have a positive length and thickness`);
+                }
+                if (!(obstacle.restitution >= 0 && obstacle.restitution <= 1)) {
+                    errors.push(`${path}.restitution must be between 0 and 1`);
+                }
+            }
+        });
+    }
+
+    function checkThreeCounts(values, path, errors, isValid) {
+        if (!Array.isArray(values) || values.length !== 3 || !values.every(isValid)) {
+            errors.push(`${path} must list 3 values (for 3, 4 and 5 or more)`);
+        }
+    }
+
+    function checkSymbolTable(raw, key, symbolIds, errors, checkEntry) {
+        const table = raw[key];
+        if (!isObject(table)) {
+            errors.push(`${key} must be an object keyed by symbol id`);
+            return;
+        }
+        for (let id of Object.keys(table)) {
+            if (!symbolIds.includes(id)) {
+                errors.push(`${key}.${id} is not a known symbol`);
+            } else {
+                checkEntry(id, table[id]);
+            }
+        }
+        for (let id of symbolIds) {
+            if (!(id in table)) {
+                errors.push(`${key} is missing ${id}`);
+            }
+        }
+    }
+
+    // ============================================
+    // CONFIG OBJECT
+    // ============================================
+
+    // Validates a parsed game-config.json; throws ConfigError listing
+    // every problem
+    function createConfig(raw) {
+        const errors = validateConfig(raw);
+        if (errors.length > 0) {
+            throw new ConfigError(errors);
+        }
+
+        const symbols = Object.assign({}, raw.symbols);
+        const paytable = {};
+        for (let id in raw.paytable) {
+            paytable[symbols[id]] = raw.paytable[id].slice();
+        }
+        const toEmoji = strips => strips.map(strip => strip.map(id => symbols[id]));
+
+        // A single pockets table is one risk level, 'standard'
+        const riskLevels = {};
+        const rawLevels = raw.plinko.riskLevels || { standard: raw.plinko.pockets };
+        for (let name in rawLevels) {
+            riskLevels[name] = rawLevels[name].map(pocket => Object.assign({}, pocket));
+        }
+        const defaultRisk = raw.plinko.riskLevels ? raw.plinko.defaultRisk : 'standard';
+        const currencies = raw.currencies || DEFAULT_CURRENCIES;
+
+        return {
+            version: raw.version,
+            name: raw.name || '',
+            symbols,
+            reelStrips: {
+                base: toEmoji(raw.reelStrips.base),
+                bonus: raw.reelStrips.bonus ? toEmoji(raw.reelStrips.bonus) : null
+            },
+            paytable,
+            scatter: raw.scatter ? {
+                symbol: symbols[raw.scatter.symbol],
+                pays: raw.scatter.pays.slice(),
+                spins: raw.scatter.spins.slice()
+            } : null,
+            paylines: raw.paylines.map(line => line.slice()),
+            evaluation: raw.evaluation || 'paylines',
+            bonusSpins: raw.bonus.spins,
+            bonusMultiplier: raw.bonus.multiplier,
+            advertisedRtp: raw.advertisedRtp,
+            multiBallRules: Object.assign({}, raw.multiBall),
+            plinko: {
+                rows: raw.plinko.rows,
+                layout: raw.plinko.layout || 'triangle',
+                // pockets is the default level's table
+                pockets: riskLevels[defaultRisk],
+                riskLevels,
+                defaultRisk,
+                collect: raw.plinko.collect ? Object.assign({}, raw.plinko.collect) : null
+            },
+            board: {
+                width: raw.board.width,
+                height: raw.board.height,
+                obstacles: (raw.board.obstacles || []).map(obstacle => Object.assign({}, obstacle))
+            },
+            responsibleGaming: Object.assign({ minRoundMs: 0, realityCheckMinutes: 60 }, raw.responsibleGaming),
+            winTiers: Object.assign({ big: 10, mega: 25, epic: 50 }, raw.winTiers),
+            currencies: copyCurrencies(currencies),
+            defaultCurrency: raw.defaultCurrency || Object.keys(currencies)[0]
+        };
+    }
+
+    function copyCurrencies(currencies) {
+        const copy = {};
+        for (let code in currencies) {
+            copy[code] = Object.assign({}, currencies[code], { bets: currencies[code].bets.slice() });
+        }
+        return copy;
+    }
+
+    return {
+        ConfigError,
+        validateConfig,
+        createConfig,
+        defaultConfig: defaultJSON ? createConfig(defaultJSON) : null
+    };
+});
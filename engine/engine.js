@@ -0,0 +1,674 @@
+/*
+GAME ENGINE
+
+Headless Drop & Spin: owns the game state, the Plinko balls and the reel
+sessions, and reports what happens through events. No DOM, no timers -
+the caller decides when to advance the physics and when to spin (spin),
+so the same engine drives the browser and Node simulations.
+
+The physics runs in fixed steps (physics.js STEP_MS): update() is one
+step, and advance(elapsedMs) runs however many whole steps real time has
+covered, carrying the remainder over. A drop therefore takes the same
+steps, and lands in the same pocket, at any frame rate.
+
+Every drop is recorded in engine.round: the RNG seed and draw counter at
+the moment of the drop plus the config version, bet, risk level, collect
+pot (in bet multiples, like state.collectPot) and modifiers in play.
+replayRound()
+turns such a record back into the exact pockets, reel grids and win, and
+recordReplay() into every physics step and spin of it for watching again.
+
+Pass `roundRng` to draw each drop from its own RNG instead of one shared
+stream (provably-fair mode, see fair.js); its `commitment`, if any, is
+recorded as round.fair. `fairRng(commitment)` rebuilds such an RNG from the
+fairness server (FairServer#rngFor) so resume() can carry a fair round on.
+
+snapshot() captures the state, the round in play and the RNG position as
+plain JSON, and resume() picks a saved session back up after a reload
+(see session-store.js).
+
+Money moves through a wallet (wallet.js) in integer minor units: balance,
+bet and every win amount are pence. Each drop gets a round id (round.id);
+the bet is debited under `${id}:debit`, pocket cash credited under
+`${id}:pockets` and each spin's win under `${id}:spin:${n}`, so a round
+played again after a reload settles exactly once. state.balance mirrors
+the wallet after each transaction.
+
+Events:
+    drop        { balls, round }                a turn has started
+    rejected    { reason, error }               drop refused ('busy' | 'balance' | 'wallet');
+                                                error is the wallet's, for 'wallet'
+    peg         { ball, peg, row }              a ball hit a peg (row 0 is the top row)
+    pocket      { ball, index, pocket, ballsRemaining }   one ball has landed
+    turnResult  { awards, spinsRemaining, bonus, multiplier, cashWin }
+                every ball has landed; cashWin (CASH and COLLECT pockets) is
+                already paid, multiplier applies to every spin of the session
+    modifier    { name }                        leftWall | rightWall | doubleBall | tripleBall
+    spinResult  { stripSet, stops, reelResults, lineWins, scatterWin, winningPositions,
+                  multiplier, totalWin, winAmount, bet, modifiers, inBonus, spinsRemaining }
+                bet is the round's, which every pay of the spin is at;
+                lineWins are { line | ways, symbol, count, amount } (see reels.js);
+                scatterWin is { count, amount, spins, positions, retrigger }; its
+                spins are already added to spinsRemaining
+    sessionEnd  {}                              reel session finished
+    creditFailed { amount, error }              the wallet refused to pay a win; it is
+                                                kept in round.unpaid and the next drop
+                                                is rejected until settleUnpaid() pays it
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./config.js'),
+            require('./rng.js'),
+            require('./physics.js'),
+            require('./reels.js'),
+            require('./wallet.js')
+        ));
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory(root.DropSpin));
+    }
+})(typeof self !== 'undefined' ? self : this, function (DropSpin) {
+    const {
+        defaultConfig,
+        createRng,
+        STEP_MS,
+        Ball,
+        createBoard,
+        stripSetFor,
+        spinReelStrips,
+        evaluateSpin,
+        checkForModifiers,
+        randomId,
+        LocalWallet
+    } = DropSpin;
+
+    // Safety net for headless rounds; a real drop lands in a few hundred ticks.
+    const MAX_DROP_TICKS = 10000;
+
+    // Longest stretch of real time advance() catches up on; after a stall
+    // (hidden tab, debugger) the balls resume instead of jumping.
+    const MAX_ADVANCE_MS = 250;
+
+    class GameEngine {
+        constructor(options = {}) {
+            this.config = options.config || defaultConfig;
+            if (!this.config) {
+                throw new Error('GameEngine needs a game config (see config.js)');
+            }
+
+            // options.wallet, or a fresh in-memory one holding options.balance
+            this.wallet = options.wallet || new LocalWallet({ balance: options.balance });
+
+            this.state = {
+                balance: this.wallet.balance,
+                currentBet: options.bet !== undefined ? options.bet : 20,
+                risk: options.risk || this.config.plinko.defaultRisk,
+                isDropping: false,
+                isSpinning: false,
+                spinsRemaining: 0,
+                inBonus: false,
+                sessionMultiplier: 1,
+                collectPot: 0,
+                modifiers: {
+                    leftWall: false,
+                    rightWall: false,
+                    extraBalls: 0 // 0 = normal, 1 = 2 balls, 2 = 3 balls
+                }
+            };
+            const collect = this.config.plinko.collect;
+            this.state.collectPot = options.collectPot !== undefined
+                ? options.collectPot
+                : (collect ? collect.seed : 0);
+            this.rng = options.rng || createRng(options.seed);
+            this.roundRng = options.roundRng || null;
+            this.fairRng = options.fairRng || null;
+            this.board = createBoard(this.config);
+            this.balls = [];
+            this.landedPockets = [];
+            this.round = null;
+            this.listeners = {};
+            this.accumulator = 0;
+        }
+
+        // ============================================
+        // EVENTS
+        // ============================================
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return () => {
+                this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+            };
+        }
+
+        emit(event, payload) {
+            for (let handler of this.listeners[event] || []) {
+                handler(payload);
+            }
+        }
+
+        // ============================================
+        // PLINKO
+        // ============================================
+
+        setBet(amount) {
+            if (this.state.isDropping || this.state.isSpinning) return false;
+            this.state.currentBet = amount;
+            return true;
+        }
+
+        // Switches the pocket award table (config.plinko.riskLevels)
+        setRisk(name) {
+            if (this.state.isDropping || this.state.isSpinning) return false;
+            if (!Object.prototype.hasOwnProperty.call(this.config.plinko.riskLevels, name)) return false;
+            this.state.risk = name;
+            return true;
+        }
+
+        // The pockets of the current risk level
+        get pockets() {
+            return this.config.plinko.riskLevels[this.state.risk];
+        }
+
+        // options.roundId replays a round under its original id, so the
+        // wallet recognises a bet it has already taken; options.rng is the
+        // RNG that round drew from
+        drop(options = {}) {
+            const state = this.state;
+            if (state.isDropping || state.isSpinning) {
+                this.emit('rejected', { reason: 'busy' });
+                return false;
+            }
+            // The last round's wins are paid before the next bet is taken
+            if (!this.settleUnpaid()) {
+                this.emit('rejected', { reason: 'wallet', error: 'unpaid_win' });
+                return false;
+            }
+
+            // Deduct bet
+            const roundId = options.roundId || randomId();
+            const debit = this.wallet.debit({ roundId, amount: state.currentBet, key: `${roundId}:debit` });
+            if (!debit.ok) {
+                const reason = debit.error === 'insufficient_funds' ? 'balance' : 'wallet';
+                this.emit('rejected', { reason, error: debit.error });
+                return false;
+            }
+            state.balance = debit.balance;
+            state.isDropping = true;
+
+            if (options.rng) {
+                this.rng = options.rng;
+            } else if (this.roundRng) {
+                this.rng = this.roundRng();
+            }
+
+            this.round = {
+                id: roundId,
+                seed: this.rng.seed,
+                draw: this.rng.draws,
+                fair: this.rng.commitment || null,
+                configVersion: this.config.version,
+                bet: state.currentBet,
+                risk: state.risk,
+                collectPot: state.collectPot,
+                modifiers: Object.assign({}, state.modifiers),
+                pockets: [],
+                spins: [],
+                win: 0,
+                unpaid: [] // { part, amount } the wallet refused to credit
+            };
+
+            // Feed the collect pot on tables that can pay it
+            if (this.pockets.some(pocket => pocket.type === 'COLLECT')) {
+                state.collectPot += this.config.plinko.collect.contribution;
+            }
+
+            // Create balls at top center with spacing
+            const numBalls = state.modifiers.extraBalls + 1;
+            for (let i = 0; i < numBalls; i++) {
+                const startX = this.board.width / 2 + (i - (numBalls - 1) / 2) * 40;
+                const ball = new Ball(startX, 20 + i * 20, this.rng);
+                ball.id = i;
+                this.balls.push(ball);
+            }
+            this.landedPockets = [];
+
+            // Reset multi-ball modifier after use
+            state.modifiers.extraBalls = 0;
+
+            this.emit('drop', { balls: numBalls, round: this.round });
+            return true;
+        }
+
+        // Runs the physics steps that elapsedMs of real time covers. Returns
+        // how far (0-1) real time is into the next step, for drawing balls
+        // between their previous and current positions.
+        advance(elapsedMs) {
+            this.accumulator += Math.min(Math.max(elapsedMs, 0), MAX_ADVANCE_MS);
+            while (this.accumulator >= STEP_MS) {
+                this.update();
+                this.accumulator -= STEP_MS;
+            }
+            return this.accumulator / STEP_MS;
+        }
+
+        // Advances every ball one fixed physics step. The turn resolves once
+        // the last ball of the drop has landed.
+        update() {
+            for (let ball of this.balls) {
+                const landed = ball.update(this.board, this.state.modifiers);
+                for (let peg of ball.hits) {
+                    this.emit('peg', { ball: ball.id, peg, row: peg.row });
+                }
+                if (landed) {
+                    this.landBall(ball);
+                }
+            }
+
+            this.balls = this.balls.filter(ball => !ball.landed);
+
+            if (this.state.isDropping && this.balls.length === 0) {
+                this.resolveTurn();
+            }
+        }
+
+        landBall(ball) {
+            const pocketIndex = ball.landedPocket;
+            this.landedPockets.push({ ball: ball.id, index: pocketIndex });
+            this.round.pockets.push(pocketIndex);
+
+            this.emit('pocket', {
+                ball: ball.id,
+                index: pocketIndex,
+                pocket: this.pockets[pocketIndex],
+                ballsRemaining: this.balls.filter(b => !b.landed).length
+            });
+        }
+
+        // Combines every ball's pocket into the turn's award (see
+        // multiBallRules). Each award records the spins its ball added,
+        // the session multiplier it asks for and the cash it paid. The
+        // session plays at the highest multiplier of the awards that added
+        // spins; the pot is collected once however many balls reach it.
+        resolveTurn() {
+            const state = this.state;
+            const rules = this.config.multiBallRules;
+
+            const awards = this.landedPockets.map(({ ball, index }) => {
+                const pocket = this.pockets[index];
+                const hasSpins = pocket.type === 'SPINS' || pocket.type === 'MULTIPLIER';
+                return {
+                    ball,
+                    index,
+                    pocket,
+                    bonus: pocket.type === 'BONUS',
+                    spins: hasSpins && pocket.award > 0 ? pocket.award : 0,
+                    multiplier: pocket.type === 'MULTIPLIER' ? pocket.multiplier : 1,
+                    cash: pocket.type === 'CASH' ? Math.round(pocket.pays * state.currentBet) : 0
+                };
+            });
+
+            if (rules.spins === 'max') {
+                const best = Math.max(...awards.map(award => award.spins));
+                let kept = false;
+                for (let award of awards) {
+                    const keep = !kept && award.spins === best;
+                    kept = kept || keep;
+                    if (!keep) award.spins = 0;
+                }
+            }
+
+            let bonusAwarded = false;
+            for (let award of awards) {
+                if (!award.bonus) continue;
+                if (rules.bonusSpins === 'each' || !bonusAwarded) {
+                    award.spins = this.config.bonusSpins;
+                    award.multiplier = this.config.bonusMultiplier;
+                }
+                bonusAwarded = true;
+            }
+
+            // The pot is kept in bet multiples, so it pays at this drop's bet
+            // whatever bets built it up
+            const collectAward = awards.find(award => award.pocket.type === 'COLLECT');
+            if (collectAward) {
+                collectAward.cash = Math.round(state.collectPot * this.round.bet);
+                state.collectPot = this.config.plinko.collect.seed;
+            }
+
+            const cashWin = awards.reduce((sum, award) => sum + award.cash, 0);
+            this.pay(cashWin, 'pockets');
+
+            // Clear walls once every ball has landed (they were used this turn)
+            state.modifiers.leftWall = false;
+            state.modifiers.rightWall = false;
+
+            state.inBonus = bonusAwarded;
+            state.spinsRemaining = awards.reduce((sum, award) => sum + award.spins, 0);
+            state.sessionMultiplier = Math.max(1, ...awards.filter(award => award.spins > 0).map(award => award.multiplier));
+            state.isDropping = false;
+            if (state.spinsRemaining > 0) {
+                state.isSpinning = true;
+            }
+
+            this.emit('turnResult', {
+                awards,
+                spinsRemaining: state.spinsRemaining,
+                bonus: bonusAwarded,
+                multiplier: state.sessionMultiplier,
+                cashWin
+            });
+        }
+
+        // ============================================
+        // REELS
+        // ============================================
+
+        // Plays one reel spin of the current session and applies the win.
+        spin() {
+            const state = this.state;
+            if (state.spinsRemaining <= 0) return null;
+
+            const stripSet = stripSetFor(this.config, state.inBonus);
+            const { stops, reelResults } = spinReelStrips(this.rng, this.config.reelStrips[stripSet]);
+            const { totalWin: baseWin, lineWins, scatterWin, winningPositions } = evaluateSpin(reelResults, this.config);
+
+            // Apply the session multiplier (bonus or MULTIPLIER pocket)
+            const multiplier = state.sessionMultiplier;
+            const bet = this.round.bet;
+            const totalWin = baseWin * multiplier;
+            const winAmount = Math.round(totalWin * bet);
+            this.pay(winAmount, `spin:${this.round.spins.length}`);
+            this.round.spins.push({ stops, reelResults, winAmount });
+
+            const modifiers = checkForModifiers(reelResults, this.config);
+            for (let name of modifiers) {
+                this.applyModifier(name);
+            }
+
+            state.spinsRemaining--;
+
+            // Scatters extend the session; during the bonus that is a retrigger
+            state.spinsRemaining += scatterWin.spins;
+            scatterWin.retrigger = state.inBonus && scatterWin.spins > 0;
+
+            const result = {
+                stripSet,
+                stops,
+                reelResults,
+                lineWins,
+                scatterWin,
+                winningPositions,
+                multiplier,
+                totalWin,
+                winAmount,
+                bet,
+                modifiers,
+                inBonus: state.inBonus,
+                spinsRemaining: state.spinsRemaining
+            };
+            this.emit('spinResult', result);
+
+            if (state.spinsRemaining === 0) {
+                this.endSession();
+            }
+
+            return result;
+        }
+
+        // Credits a win of the round in play. A credit the wallet refuses
+        // is still won: it waits in round.unpaid for settleUnpaid().
+        pay(amount, part) {
+            if (amount <= 0) return;
+            const roundId = this.round.id;
+            this.round.win += amount;
+            const credit = this.wallet.credit({ roundId, amount, key: `${roundId}:${part}` });
+            if (!credit.ok) {
+                this.round.unpaid.push({ part, amount });
+                this.emit('creditFailed', { amount, error: credit.error });
+                return;
+            }
+            this.state.balance = credit.balance;
+        }
+
+        // Credits the round's refused wins again under their own keys, so
+        // one the wallet did take after all is not paid twice. Returns
+        // whether the round is fully paid.
+        settleUnpaid() {
+            const round = this.round;
+            if (!round || !round.unpaid) return true;
+            round.unpaid = round.unpaid.filter(({ part, amount }) => {
+                const credit = this.wallet.credit({ roundId: round.id, amount, key: `${round.id}:${part}` });
+                if (credit.ok) this.state.balance = credit.balance;
+                return !credit.ok;
+            });
+            return round.unpaid.length === 0;
+        }
+
+        applyModifier(name) {
+            const modifiers = this.state.modifiers;
+
+            if (name === 'leftWall') {
+                modifiers.leftWall = true;
+            } else if (name === 'rightWall') {
+                modifiers.rightWall = true;
+            } else if (name === 'tripleBall') {
+                modifiers.extraBalls = 2;
+            } else if (name === 'doubleBall') {
+                modifiers.extraBalls = Math.max(modifiers.extraBalls, 1);
+            }
+
+            this.emit('modifier', { name });
+        }
+
+        endSession() {
+            this.state.isSpinning = false;
+            this.state.inBonus = false;
+            this.state.sessionMultiplier = 1;
+            this.emit('sessionEnd', {});
+        }
+
+        // ============================================
+        // SAVE / RESUME
+        // ============================================
+
+        // JSON-safe copy of everything needed to carry on later. Balls in
+        // flight are not saved: resume() plays an interrupted drop again.
+        // A provably-fair RNG is saved as its draw count only, its server
+        // seed is secret.
+        snapshot() {
+            const seeded = this.rng.seed !== null && this.rng.seed !== undefined;
+            return {
+                configVersion: this.config.version,
+                state: JSON.parse(JSON.stringify(this.state)),
+                round: this.round ? JSON.parse(JSON.stringify(this.round)) : null,
+                rng: seeded || this.rng.commitment
+                    ? { seed: seeded ? this.rng.seed : null, draws: this.rng.draws }
+                    : null
+            };
+        }
+
+        // Restores a snapshot and returns what was cut off: 'drop' when a
+        // drop was in flight, 'spins' when a reel session has spins left,
+        // 'refunded' (see below), otherwise null. The drop is played again
+        // from the draw it started at, so it lands where it would have;
+        // spins carry on from the saved RNG position. A fair round gets its
+        // committed RNG back from fairRng, never a new draw.
+        // The balance always comes from the wallet. A round that cannot be
+        // played on - the snapshot is from another config version, or the
+        // fair RNG cannot be rebuilt - has its bet rolled back and
+        // 'refunded' is returned; nothing else is restored.
+        resume(snapshot) {
+            const { state, round, rng } = snapshot;
+            const cutOff = round && (state.isDropping || state.isSpinning);
+            const sameConfig = snapshot.configVersion === this.config.version;
+            const fairRng = sameConfig && cutOff && round.fair && this.fairRng ? this.fairRng(round.fair) : null;
+
+            if (!sameConfig || (cutOff && round.fair && !fairRng)) {
+                if (cutOff) {
+                    this.rollback(round.id);
+                    return 'refunded';
+                }
+                return null;
+            }
+
+            Object.assign(this.state, state, {
+                balance: this.wallet.balance,
+                modifiers: Object.assign({}, state.modifiers)
+            });
+            this.round = round;
+            this.balls = [];
+            this.landedPockets = [];
+            this.accumulator = 0;
+
+            if (state.isDropping) {
+                // Back to the moment before the drop, then drop again under
+                // the same round id: the wallet already holds its bet
+                Object.assign(this.state, {
+                    isDropping: false,
+                    currentBet: round.bet,
+                    risk: round.risk,
+                    collectPot: round.collectPot,
+                    modifiers: Object.assign({}, round.modifiers)
+                });
+                if (!fairRng) {
+                    this.rng = rng ? createRng(round.seed) : createRng();
+                    if (rng) this.rng.skip(round.draw);
+                }
+                this.drop({ roundId: round.id, rng: fairRng });
+                return 'drop';
+            }
+
+            if (fairRng) {
+                fairRng.skip(rng ? rng.draws : 0);
+                this.rng = fairRng;
+            } else if (rng && rng.seed !== null) {
+                this.rng = createRng(rng.seed);
+                this.rng.skip(rng.draws);
+            }
+            return state.isSpinning ? 'spins' : null;
+        }
+
+        // Adds the player's own funds, outside any round
+        deposit(amount) {
+            const result = this.wallet.deposit({ amount, key: `deposit:${randomId()}` });
+            if (result.ok) this.state.balance = result.balance;
+            return result.ok;
+        }
+
+        // Refunds the bet of a round that cannot be played
+        rollback(roundId) {
+            const result = this.wallet.rollback({ roundId, key: `${roundId}:rollback`, debitKey: `${roundId}:debit` });
+            if (result.ok) this.state.balance = result.balance;
+            return result.ok;
+        }
+
+        // ============================================
+        // HEADLESS HELPERS
+        // ============================================
+
+        // Runs a whole turn synchronously: drop, physics until every ball
+        // has landed, then every awarded reel spin.
+        playRound() {
+            if (!this.drop()) return false;
+
+            let ticks = 0;
+            while (this.state.isDropping) {
+                this.update();
+                if (++ticks > MAX_DROP_TICKS) {
+                    this.rollback(this.round.id);
+                    throw new Error('Ball did not land within ' + MAX_DROP_TICKS + ' ticks');
+                }
+            }
+
+            while (this.state.spinsRemaining > 0) {
+                this.spin();
+            }
+
+            return true;
+        }
+    }
+
+    // Re-plays a recorded drop on a fresh engine and returns its round
+    // record, which matches the original when played with the same config.
+    // options: { rng, config }. Seeded rounds rebuild their RNG; fair
+    // rounds pass theirs in.
+    function replayRound(record, options = {}) {
+        const engine = replayEngine(record, options);
+        engine.playRound();
+
+        return engine.round;
+    }
+
+    // Plays a recorded round again one physics step at a time and returns
+    // everything a viewer needs to show it:
+    //     { board, pockets, modifiers, frames, spins, round }
+    // frames[n] is the drop after n steps,
+    //     { balls: [{ id, x, y, radius, landed }], hits: [{ ball, peg }], landed: [{ ball, index }] }
+    // where hits are the pegs (indices into board.pegs) each ball touched
+    // in that step and landed the balls that came to rest in it. spins are
+    // the session's spinResult events in order. Options as replayRound.
+    function recordReplay(record, options = {}) {
+        const engine = replayEngine(record, options);
+        const modifiers = Object.assign({}, engine.state.modifiers);
+        const frames = [];
+        const spins = [];
+        let landed = [];
+        engine.on('pocket', ({ ball, index }) => landed.push({ ball, index }));
+        engine.on('spinResult', result => spins.push(result));
+
+        if (!engine.drop()) {
+            throw new Error('Recorded round could not be dropped again');
+        }
+        const balls = engine.balls.slice();
+        const frame = () => ({
+            balls: balls.map(ball => ({ id: ball.id, x: ball.x, y: ball.y, radius: ball.radius, landed: ball.landed })),
+            hits: [].concat(...balls.map(ball => ball.hits.map(peg => ({ ball: ball.id, peg: engine.board.pegs.indexOf(peg) })))),
+            landed
+        });
+
+        frames.push(frame());
+        while (engine.state.isDropping) {
+            landed = [];
+            engine.update();
+            frames.push(frame());
+            if (frames.length > MAX_DROP_TICKS) {
+                throw new Error('Ball did not land within ' + MAX_DROP_TICKS + ' ticks');
+            }
+        }
+
+        while (engine.state.spinsRemaining > 0) {
+            engine.spin();
+        }
+
+        return { board: engine.board, pockets: engine.pockets, modifiers, frames, spins, round: engine.round };
+    }
+
+    // A fresh engine set up as the recorded round was: seeded rounds
+    // rebuild their RNG, fair rounds pass theirs in
+    function replayEngine(record, options) {
+        let rng = options.rng;
+        if (!rng) {
+            rng = createRng(record.seed);
+            rng.skip(record.draw);
+        }
+
+        const engine = new GameEngine({
+            rng,
+            config: options.config,
+            balance: record.bet,
+            bet: record.bet,
+            risk: record.risk,
+            collectPot: record.collectPot
+        });
+        Object.assign(engine.state.modifiers, record.modifiers);
+        return engine;
+    }
+
+    return {
+        GameEngine,
+        replayRound,
+        recordReplay
+    };
+});
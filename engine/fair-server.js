@@ -0,0 +1,107 @@
+/*
+LOCAL FAIRNESS SERVER
+
+Stand-in for the game server's side of provably-fair play: it keeps the
+current server seed secret, publishes only its hash, hands out one nonce
+per drop and reveals the seed when it is rotated. Given a Web Storage-like
+object it keeps its seeds there, its stand-in for the server's database,
+so a drop cut off by a reload can be played again on its committed RNG
+(rngFor).
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fair.js'));
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory(root.DropSpin));
+    }
+})(typeof self !== 'undefined' ? self : this, function (DropSpin) {
+    const { sha256Hex, toHex, FairRng } = DropSpin;
+
+    function randomHex(byteCount) {
+        return toHex(crypto.getRandomValues(new Uint8Array(byteCount)));
+    }
+
+    class FairServer {
+        #serverSeed = null;
+
+        // options: { storage, key }. A stored server wins over a fresh seed.
+        constructor(options = {}) {
+            this.storage = options.storage || null;
+            this.key = options.key || 'dropspin.fair-server';
+            this.serverSeedHash = null;
+            this.nonce = 0;
+            this.revealed = []; // { serverSeed, serverSeedHash, nonces }
+
+            const saved = this.storage && this.storage.getItem(this.key);
+            if (saved) {
+                const { serverSeed, serverSeedHash, nonce, revealed } = JSON.parse(saved);
+                this.#serverSeed = serverSeed;
+                Object.assign(this, { serverSeedHash, nonce, revealed });
+            } else {
+                this.rotate();
+            }
+        }
+
+        // RNG for the next drop; uses up one nonce
+        nextRng(clientSeed) {
+            const rng = new FairRng(this.#serverSeed, clientSeed, this.nonce++);
+            this.save();
+            return rng;
+        }
+
+        // The RNG of a drop already committed to (round.fair), or null when
+        // this server never handed that nonce out
+        rngFor({ serverSeedHash, clientSeed, nonce }) {
+            const issued = serverSeedHash === this.serverSeedHash
+                ? { serverSeed: this.#serverSeed, nonces: this.nonce }
+                : this.revealed.find(r => r.serverSeedHash === serverSeedHash);
+            if (!issued || nonce >= issued.nonces) return null;
+            return new FairRng(issued.serverSeed, clientSeed, nonce);
+        }
+
+        // Retires the current seed, reveals it and commits to a new one.
+        // Returns the revealed seed (null on the first call).
+        rotate() {
+            let previous = null;
+            if (this.#serverSeed) {
+                previous = {
+                    serverSeed: this.#serverSeed,
+                    serverSeedHash: this.serverSeedHash,
+                    nonces: this.nonce
+                };
+                this.revealed.push(previous);
+            }
+
+            this.#serverSeed = randomHex(32);
+            this.serverSeedHash = sha256Hex(this.#serverSeed);
+            this.nonce = 0;
+            this.save();
+            return previous;
+        }
+
+        save() {
+            if (!this.storage) return;
+            this.storage.setItem(this.key, JSON.stringify({
+                serverSeed: this.#serverSeed,
+                serverSeedHash: this.serverSeedHash,
+                nonce: this.nonce,
+                revealed: this.revealed
+            }));
+        }
+
+        revealedSeed(serverSeedHash) {
+            const entry = this.revealed.find(r => r.serverSeedHash === serverSeedHash);
+            return entry ? entry.serverSeed : null;
+        }
+    }
+
+    function randomClientSeed() {
+        return randomHex(8);
+    }
+
+    return {
+        FairServer,
+        randomClientSeed
+    };
+});
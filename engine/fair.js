@@ -0,0 +1,205 @@
+/*
+PROVABLY FAIR
+
+A drop in provably-fair mode takes all of its randomness - the ball path
+and every reel strip of the session it awards - from
+
+    HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${round}`)
+
+where round counts up from 0 each time the 32 bytes of the previous
+digest are used up (4 bytes per draw). The player sees SHA-256(serverSeed)
+before the drop; once the server seed is rotated and revealed, anyone can
+re-run the drop with verifyRound() and get the same pockets and grids.
+
+SHA-256 is implemented here because the engine is synchronous and has to
+run the same in the browser and in Node.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory(root.DropSpin));
+    }
+})(typeof self !== 'undefined' ? self : this, function (DropSpin) {
+    const { replayRound } = DropSpin;
+
+    // ============================================
+    // SHA-256 / HMAC
+    // ============================================
+
+    const K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    function utf8(text) {
+        return typeof text === 'string' ? new TextEncoder().encode(text) : text;
+    }
+
+    // SHA-256 of a string or byte array, as a 32-byte Uint8Array
+    function sha256(message) {
+        const bytes = utf8(message);
+        const bitLength = bytes.length * 8;
+        const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(paddedLength - 8, Math.floor(bitLength / 4294967296));
+        view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Array(64);
+
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = ror(w[i - 15], 7) ^ ror(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = ror(w[i - 2], 17) ^ ror(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const S1 = ror(e, 6) ^ ror(e, 11) ^ ror(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (hh + S1 + ch + K[i] + w[i]) | 0;
+                const S0 = ror(a, 2) ^ ror(a, 13) ^ ror(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) | 0;
+                hh = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            h[0] = (h[0] + a) | 0;
+            h[1] = (h[1] + b) | 0;
+            h[2] = (h[2] + c) | 0;
+            h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0;
+            h[5] = (h[5] + f) | 0;
+            h[6] = (h[6] + g) | 0;
+            h[7] = (h[7] + hh) | 0;
+        }
+
+        const digest = new Uint8Array(32);
+        const out = new DataView(digest.buffer);
+        h.forEach((word, i) => out.setUint32(i * 4, word >>> 0));
+        return digest;
+    }
+
+    function ror(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    }
+
+    function hmacSha256(key, message) {
+        let keyBytes = utf8(key);
+        if (keyBytes.length > 64) keyBytes = sha256(keyBytes);
+
+        const inner = new Uint8Array(64);
+        const outer = new Uint8Array(64);
+        for (let i = 0; i < 64; i++) {
+            inner[i] = (keyBytes[i] || 0) ^ 0x36;
+            outer[i] = (keyBytes[i] || 0) ^ 0x5c;
+        }
+
+        const messageBytes = utf8(message);
+        const innerInput = new Uint8Array(64 + messageBytes.length);
+        innerInput.set(inner);
+        innerInput.set(messageBytes, 64);
+
+        const outerInput = new Uint8Array(96);
+        outerInput.set(outer);
+        outerInput.set(sha256(innerInput), 64);
+        return sha256(outerInput);
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function sha256Hex(message) {
+        return toHex(sha256(message));
+    }
+
+    // ============================================
+    // FAIR RNG
+    // ============================================
+
+    // Drop-in replacement for Rng driven by the seed commitments of one drop
+    class FairRng {
+        constructor(serverSeed, clientSeed, nonce) {
+            this.serverSeed = serverSeed;
+            this.clientSeed = clientSeed;
+            this.nonce = nonce;
+            this.seed = null;
+            this.draws = 0;
+            this.digest = null;
+            this.commitment = {
+                serverSeedHash: sha256Hex(serverSeed),
+                clientSeed,
+                nonce
+            };
+        }
+
+        next() {
+            const byteOffset = (this.draws % 8) * 4;
+            if (byteOffset === 0) {
+                const round = this.draws / 8;
+                this.digest = hmacSha256(this.serverSeed, `${this.clientSeed}:${this.nonce}:${round}`);
+            }
+
+            // Four bytes as base-256 fraction digits
+            let value = 0;
+            for (let i = 3; i >= 0; i--) {
+                value = (value + this.digest[byteOffset + i]) / 256;
+            }
+
+            this.draws++;
+            return value;
+        }
+
+        skip(count) {
+            for (let i = 0; i < count; i++) {
+                this.next();
+            }
+        }
+    }
+
+    // Re-computes a provably-fair drop from its revealed server seed.
+    // `record` is the round record (bet, modifiers, fair commitment).
+    function verifyRound(record, serverSeed, config) {
+        const { serverSeedHash, clientSeed, nonce } = record.fair;
+        const hashMatches = sha256Hex(serverSeed) === serverSeedHash;
+        const replay = replayRound(record, { rng: new FairRng(serverSeed, clientSeed, nonce), config });
+
+        return {
+            hashMatches,
+            pockets: replay.pockets,
+            reelResults: replay.spins.map(spin => spin.reelResults),
+            win: replay.win
+        };
+    }
+
+    return {
+        sha256Hex,
+        hmacSha256,
+        toHex,
+        FairRng,
+        verifyRound
+    };
+});
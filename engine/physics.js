@@ -0,0 +1,254 @@
+/*
+PLINKO PHYSICS
+
+Ball movement, peg layout, pocket zones and obstacles. Everything here
+works in board units (config.board) and never touches the DOM.
+
+Obstacles come from config.board.obstacles. OBSTACLES maps each type to
+how it is built from its config entry and how it pushes a touching ball
+back out; a new type (bumper, moving deflector...) is one more entry
+here plus its checks in config.js.
+
+Ball.update is one fixed physics step of STEP_MS; velocities and gravity
+are per step. Callers advance real time in whole steps (see
+GameEngine.advance), so a drop is the same on every display and headless.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // One physics step: the 60Hz frame the tuning was done at
+    const STEP_MS = 1000 / 60;
+
+    class Ball {
+        constructor(x, y, rng) {
+            this.x = x;
+            this.y = y;
+            // Position before the last step, for render interpolation
+            this.prevX = x;
+            this.prevY = y;
+            this.rng = rng;
+            this.vx = (rng.next() - 0.5) * 3; // Initial horizontal velocity
+            this.vy = 0.5; // Small initial downward velocity
+            this.radius = 8;
+            this.gravity = 0.3; // Slightly reduced gravity for more peg interaction
+            this.bounce = 0.7; // Increased bounce for better physics
+            this.landed = false;
+            this.landedPocket = -1;
+            this.hits = []; // pegs touched in the last step
+        }
+
+        // Advances the ball one step. Returns true on the step it lands.
+        update(board, modifiers) {
+            this.hits = [];
+            if (this.landed) return false;
+
+            this.prevX = this.x;
+            this.prevY = this.y;
+
+            this.vy += this.gravity;
+            this.x += this.vx;
+            this.y += this.vy;
+
+            // Friction
+            this.vx *= 0.98;
+
+            // Check collision with pegs
+            for (let peg of board.pegs) {
+                const dx = this.x - peg.x;
+                const dy = this.y - peg.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist < this.radius + peg.radius) {
+                    this.hits.push(peg);
+
+                    // Bounce off peg
+                    const angle = Math.atan2(dy, dx);
+
+                    // Push ball out of peg
+                    this.x = peg.x + Math.cos(angle) * (this.radius + peg.radius + 1);
+                    this.y = peg.y + Math.sin(angle) * (this.radius + peg.radius + 1);
+
+                    // Calculate bounce with randomness
+                    const bounceAngle = angle + (this.rng.next() - 0.5) * 0.6;
+                    const speed = Math.max(2, Math.sqrt(this.vx * this.vx + this.vy * this.vy) * this.bounce);
+                    this.vx = Math.cos(bounceAngle) * speed;
+                    this.vy = Math.abs(Math.sin(bounceAngle) * speed); // Ensure downward movement
+                }
+            }
+
+            // Check collision with obstacles switched on by the modifiers
+            for (let obstacle of activeObstacles(board, modifiers)) {
+                OBSTACLES[obstacle.type].collide(this, obstacle);
+            }
+
+            // Check if landed in pocket
+            if (this.y >= board.height - 40) {
+                for (let i = 0; i < board.pocketZones.length; i++) {
+                    const zone = board.pocketZones[i];
+                    if (this.x >= zone.x && this.x <= zone.x + zone.width) {
+                        this.landed = true;
+                        this.landedPocket = i;
+                        this.y = board.height - 25;
+                        this.vx = 0;
+                        this.vy = 0;
+                        return true;
+                    }
+                }
+            }
+
+            // Boundaries
+            if (this.x < this.radius) {
+                this.x = this.radius;
+                this.vx *= -0.5;
+            }
+            if (this.x > board.width - this.radius) {
+                this.x = board.width - this.radius;
+                this.vx *= -0.5;
+            }
+
+            return false;
+        }
+    }
+
+    const OBSTACLES = {
+        // Line segment; the ball reflects off it, keeping `restitution` of
+        // the speed into the wall, so on a slope it slides down it
+        wall: {
+            create(def) {
+                const angle = def.angle * Math.PI / 180;
+                const halfX = Math.cos(angle) * def.length / 2;
+                const halfY = Math.sin(angle) * def.length / 2;
+                return {
+                    type: 'wall',
+                    modifier: def.modifier || null,
+                    x1: def.x - halfX,
+                    y1: def.y - halfY,
+                    x2: def.x + halfX,
+                    y2: def.y + halfY,
+                    thickness: def.thickness,
+                    restitution: def.restitution
+                };
+            },
+            collide(ball, wall) {
+                // Closest point of the segment to the ball
+                const dx = wall.x2 - wall.x1;
+                const dy = wall.y2 - wall.y1;
+                const t = Math.min(1, Math.max(0,
+                    ((ball.x - wall.x1) * dx + (ball.y - wall.y1) * dy) / (dx * dx + dy * dy)));
+                const px = wall.x1 + t * dx;
+                const py = wall.y1 + t * dy;
+
+                const offsetX = ball.x - px;
+                const offsetY = ball.y - py;
+                const dist = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+                const reach = ball.radius + wall.thickness / 2;
+                if (dist >= reach || dist === 0) return;
+
+                // Push ball out along the normal and reflect the speed into the wall
+                const nx = offsetX / dist;
+                const ny = offsetY / dist;
+                ball.x = px + nx * reach;
+                ball.y = py + ny * reach;
+
+                const into = ball.vx * nx + ball.vy * ny;
+                if (into < 0) {
+                    ball.vx -= (1 + wall.restitution) * into * nx;
+                    ball.vy -= (1 + wall.restitution) * into * ny;
+                }
+            }
+        }
+    };
+
+    // Obstacles in play: those without a modifier, and those whose
+    // modifier is on
+    function activeObstacles(board, modifiers) {
+        return board.obstacles.filter(obstacle => !obstacle.modifier || modifiers[obstacle.modifier]);
+    }
+
+    // The peg grid for config.plinko: `rows` rows from y 60 down to 50
+    // above the floor, pegs `spacing` apart. The last row has a peg on
+    // every pocket boundary (pockets + 1 pegs) and its gaps are the
+    // pockets. 'triangle' grows by one peg a row down to it; 'staggered'
+    // alternates full and half-offset rows of pockets + 1 and pockets pegs.
+    function pegRows(board, plinko) {
+        const pockets = plinko.pockets.length;
+        const spacing = board.width / (pockets + 1);
+        const verticalSpacing = plinko.rows > 1 ? (board.height - 110) / (plinko.rows - 1) : 0;
+        const rows = [];
+
+        for (let row = 0; row < plinko.rows; row++) {
+            const fromBottom = plinko.rows - 1 - row;
+            const pegsInRow = plinko.layout === 'staggered'
+                ? pockets + 1 - fromBottom % 2
+                : pockets + 1 - fromBottom;
+            rows.push({
+                y: 60 + row * verticalSpacing,
+                pegsInRow,
+                startX: (board.width - (pegsInRow - 1) * spacing) / 2
+            });
+        }
+
+        return { spacing, rows };
+    }
+
+    function setupPegs(board, plinko) {
+        const pegs = [];
+        const { spacing, rows } = pegRows(board, plinko);
+
+        rows.forEach(({ y, pegsInRow, startX }, row) => {
+            for (let col = 0; col < pegsInRow; col++) {
+                pegs.push({
+                    x: startX + col * spacing,
+                    y,
+                    row,
+                    radius: 4
+                });
+            }
+        });
+
+        return pegs;
+    }
+
+    // One zone per gap of the last peg row; the outer two reach the sides
+    function setupPockets(board, plinko) {
+        const pocketZones = [];
+        const { spacing, rows } = pegRows(board, plinko);
+        const lastRow = rows[rows.length - 1];
+        const numPockets = plinko.pockets.length;
+
+        for (let i = 0; i < numPockets; i++) {
+            const left = i === 0 ? 0 : lastRow.startX + i * spacing;
+            const right = i === numPockets - 1 ? board.width : lastRow.startX + (i + 1) * spacing;
+            pocketZones.push({
+                x: left,
+                width: right - left
+            });
+        }
+
+        return pocketZones;
+    }
+
+    function createBoard(config) {
+        const board = { width: config.board.width, height: config.board.height, pegs: [], pocketZones: [], obstacles: [] };
+        board.pegs = setupPegs(board, config.plinko);
+        board.pocketZones = setupPockets(board, config.plinko);
+        board.obstacles = (config.board.obstacles || []).map(def => OBSTACLES[def.type].create(def));
+        return board;
+    }
+
+    return {
+        STEP_MS,
+        Ball,
+        OBSTACLES,
+        activeObstacles,
+        setupPegs,
+        setupPockets,
+        createBoard
+    };
+});
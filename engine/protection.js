@@ -0,0 +1,280 @@
+/*
+PLAYER PROTECTION
+
+Responsible-gambling controls checked before every drop and deposit:
+
+    deposit limit    most the player may deposit in any 24 hours
+    loss limit       most the player may lose (bets minus wins) in any 24 hours
+    reality check    every realityCheckMinutes of a session play pauses until
+                     the player has seen their time played and net result
+    cool-off         a break of hours or days, and
+    self-exclusion   one of months or years; neither can be cut short
+    min round time   operator's shortest time from one drop to the next
+                     (config.responsibleGaming.minRoundMs)
+
+Tightening a limit applies at once; loosening or removing one - or
+lengthening the reality-check interval - only LIMIT_INCREASE_DELAY_MS after
+that limit was loosened, so it cannot be raised in the heat of a session.
+Limits, locks and the last 24 hours of bets, wins and deposits are saved
+to Web Storage when given one; a session is one visit. Amounts are minor
+units and times milliseconds from options.now (Date.now by default).
+
+checkDrop() and checkDeposit() return null when allowed, otherwise
+{ reason, ... }:
+    { reason: 'locked', kind: 'coolOff' | 'selfExclusion', until }
+    { reason: 'realityCheck' }
+    { reason: 'lossLimit', remaining }
+    { reason: 'tooSoon', waitMs }
+    { reason: 'depositLimit', remaining }
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const HOUR_MS = 60 * 60 * 1000;
+    const DAY_MS = 24 * HOUR_MS;
+    const LIMIT_WINDOW_MS = DAY_MS;
+    const LIMIT_INCREASE_DELAY_MS = DAY_MS;
+    const SPEND_LIMITS = ['depositLimit', 'lossLimit'];
+
+    // Whether value is a looser limit than was: a higher or removed (null)
+    // spend limit, or a longer reality-check interval
+    function looser(name, value, was) {
+        if (name === 'realityCheckMinutes') return value > was;
+        if (!SPEND_LIMITS.includes(name)) return false;
+        if (value === null) return was !== null;
+        return was !== null && value > was;
+    }
+
+    // Pending limits as saved before each limit had its own delay:
+    // { limits, effectiveAt }
+    function pendingByLimit(saved) {
+        if (!saved || !saved.limits) return saved;
+        const pending = {};
+        for (let name in saved.limits) {
+            pending[name] = { value: saved.limits[name], effectiveAt: saved.effectiveAt };
+        }
+        return pending;
+    }
+
+    class PlayerProtection {
+        // options: { config: config.responsibleGaming, storage, key, now }
+        constructor(options = {}) {
+            this.settings = Object.assign({ minRoundMs: 0, realityCheckMinutes: 60 }, options.config);
+            this.storage = options.storage || null;
+            this.key = options.key || 'dropspin.protection';
+            this.now = options.now || (() => Date.now());
+
+            this.limits = { depositLimit: null, lossLimit: null, realityCheckMinutes: this.settings.realityCheckMinutes };
+            this.pendingLimits = null; // { [name]: { value, effectiveAt } }
+            this.lock = null;          // { kind, until }
+            this.ledger = [];          // [{ time, type: 'bet' | 'win' | 'deposit', amount }]
+
+            const saved = this.storage && this.storage.getItem(this.key);
+            if (saved) {
+                const { limits, pendingLimits, lock, ledger } = JSON.parse(saved);
+                Object.assign(this, { limits, pendingLimits: pendingByLimit(pendingLimits), lock, ledger });
+            }
+
+            const start = this.now();
+            this.session = { startedAt: start, wagered: 0, won: 0, lastRealityCheck: start };
+            this.lastDropAt = null;
+        }
+
+        // Follows an engine's rounds: bets when a drop starts, wins once
+        // its turn has played out
+        attach(engine) {
+            engine.on('drop', ({ round }) => {
+                this.lastDropAt = this.now();
+                this.session.wagered += round.bet;
+                this.record('bet', round.bet);
+            });
+            const settle = () => {
+                this.session.won += engine.round.win;
+                this.record('win', engine.round.win);
+            };
+            engine.on('turnResult', ({ spinsRemaining }) => {
+                if (spinsRemaining === 0) settle();
+            });
+            engine.on('sessionEnd', settle);
+        }
+
+        // ============================================
+        // CHECKS
+        // ============================================
+
+        checkDrop(bet) {
+            const now = this.now();
+            const locked = this.lockedUntil();
+            if (locked) return locked;
+
+            if (this.realityCheckDue()) return { reason: 'realityCheck' };
+
+            const lossLimit = this.currentLimits().lossLimit;
+            if (lossLimit !== null) {
+                const remaining = lossLimit - this.recentLoss();
+                if (bet > remaining) return { reason: 'lossLimit', remaining: Math.max(0, remaining) };
+            }
+
+            const waitMs = this.msUntilNextDrop(now);
+            if (waitMs > 0) return { reason: 'tooSoon', waitMs };
+
+            return null;
+        }
+
+        checkDeposit(amount) {
+            const locked = this.lockedUntil();
+            if (locked) return locked;
+
+            const depositLimit = this.currentLimits().depositLimit;
+            if (depositLimit !== null) {
+                const remaining = depositLimit - this.recentTotal('deposit');
+                if (amount > remaining) return { reason: 'depositLimit', remaining: Math.max(0, remaining) };
+            }
+            return null;
+        }
+
+        recordDeposit(amount) {
+            this.record('deposit', amount);
+        }
+
+        // Time left of the minimum round duration
+        msUntilNextDrop(now = this.now()) {
+            if (this.lastDropAt === null) return 0;
+            return Math.max(0, this.lastDropAt + this.settings.minRoundMs - now);
+        }
+
+        // ============================================
+        // LIMITS
+        // ============================================
+
+        // Limits in force now, taking up each pending loosening once its
+        // delay has passed
+        currentLimits() {
+            const pending = this.pendingLimits;
+            if (pending) {
+                const now = this.now();
+                const due = Object.keys(pending).filter(name => now >= pending[name].effectiveAt);
+                due.forEach(name => {
+                    this.limits[name] = pending[name].value;
+                    delete pending[name];
+                });
+                if (Object.keys(pending).length === 0) this.pendingLimits = null;
+                if (due.length > 0) this.save();
+            }
+            return this.limits;
+        }
+
+        // limits: any of { depositLimit, lossLimit, realityCheckMinutes };
+        // null removes a spend limit. Returns every limit still waiting,
+        // { [name]: { value, effectiveAt } }, or null.
+        setLimits(limits) {
+            const current = this.currentLimits();
+            const pending = this.pendingLimits || {};
+            for (let name in limits) {
+                const value = limits[name];
+                if (!looser(name, value, current[name])) {
+                    // Applies at once, and cancels any loosening still waiting
+                    current[name] = value;
+                    delete pending[name];
+                } else if (!pending[name] || looser(name, value, pending[name].value)) {
+                    pending[name] = { value, effectiveAt: this.now() + LIMIT_INCREASE_DELAY_MS };
+                } else {
+                    // No looser than the change already waiting: keeps its time
+                    pending[name].value = value;
+                }
+            }
+
+            this.pendingLimits = Object.keys(pending).length > 0 ? pending : null;
+            this.save();
+            return this.pendingLimits;
+        }
+
+        // Net loss over the last 24 hours (negative when ahead)
+        recentLoss() {
+            return this.recentTotal('bet') - this.recentTotal('win');
+        }
+
+        recentTotal(type) {
+            const since = this.now() - LIMIT_WINDOW_MS;
+            return this.ledger
+                .filter(entry => entry.type === type && entry.time > since)
+                .reduce((sum, entry) => sum + entry.amount, 0);
+        }
+
+        // ============================================
+        // REALITY CHECKS
+        // ============================================
+
+        realityCheckDue() {
+            const interval = this.currentLimits().realityCheckMinutes * 60 * 1000;
+            return this.now() - this.session.lastRealityCheck >= interval;
+        }
+
+        acknowledgeRealityCheck() {
+            this.session.lastRealityCheck = this.now();
+        }
+
+        // { elapsedMs, wagered, won, net } for this session
+        sessionSummary() {
+            const { startedAt, wagered, won } = this.session;
+            return { elapsedMs: this.now() - startedAt, wagered, won, net: won - wagered };
+        }
+
+        // ============================================
+        // BREAKS
+        // ============================================
+
+        // Starts a cool-off or self-exclusion; an existing lock is only
+        // ever extended
+        takeBreak(kind, durationMs) {
+            const until = this.now() + durationMs;
+            if (!this.lock || until > this.lock.until) {
+                this.lock = { kind, until };
+            }
+            this.save();
+            return this.lock;
+        }
+
+        lockedUntil() {
+            if (this.lock && this.now() < this.lock.until) {
+                return { reason: 'locked', kind: this.lock.kind, until: this.lock.until };
+            }
+            return null;
+        }
+
+        // ============================================
+        // STORAGE
+        // ============================================
+
+        record(type, amount) {
+            if (amount <= 0) return;
+            this.ledger.push({ time: this.now(), type, amount });
+            this.save();
+        }
+
+        save() {
+            if (!this.storage) return;
+            // Entries older than the limit window no longer count
+            const since = this.now() - LIMIT_WINDOW_MS;
+            this.ledger = this.ledger.filter(entry => entry.time > since);
+            this.storage.setItem(this.key, JSON.stringify({
+                limits: this.limits,
+                pendingLimits: this.pendingLimits,
+                lock: this.lock,
+                ledger: this.ledger
+            }));
+        }
+    }
+
+    return {
+        HOUR_MS,
+        DAY_MS,
+        PlayerProtection
+    };
+});
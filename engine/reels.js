@@ -0,0 +1,211 @@
+/*
+REEL EVALUATION
+
+Reel stops, win evaluation and modifier detection. Pure functions: they
+take a reel grid (reelResults[reel][row]) and the game config and return
+plain results.
+
+Wins are evaluated on config.paylines, or on every left-to-right way
+through the grid (3^5 = 243 ways) when config.evaluation is 'ways';
+evaluateSpin picks the mode.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Which reelStrips set a spin plays on: bonus spins use the bonus
+    // strips when the config has them
+    function stripSetFor(config, inBonus) {
+        return inBonus && config.reelStrips.bonus ? 'bonus' : 'base';
+    }
+
+    // The 3 visible rows of each reel: consecutive strip positions from
+    // the stop index down, wrapping round the end of the strip
+    function visibleRows(strips, stops) {
+        return strips.map((strip, reel) => [0, 1, 2].map(row => strip[(stops[reel] + row) % strip.length]));
+    }
+
+    // Picks one stop index per reel
+    function spinReelStrips(rng, strips) {
+        const stops = strips.map(strip => Math.floor(rng.next() * strip.length));
+        return { stops, reelResults: visibleRows(strips, stops) };
+    }
+
+    function evaluateSpin(reelResults, config) {
+        return config.evaluation === 'ways'
+            ? evaluateWays(reelResults, config)
+            : evaluatePaylines(reelResults, config);
+    }
+
+    // Returns the line wins and scatter win (as bet multipliers) and every
+    // winning cell as a "reel-row" key. totalWin includes the scatter pay.
+    function evaluatePaylines(reelResults, config) {
+        let totalWin = 0;
+        const lineWins = [];
+        const winningPositions = new Set();
+
+        config.paylines.forEach((payline, lineIndex) => {
+            const symbols = payline.map((row, reel) => reelResults[reel][row]);
+            const win = checkPayline(symbols, config);
+
+            if (win.amount > 0) {
+                totalWin += win.amount;
+                lineWins.push({ line: lineIndex, symbol: win.symbol, count: win.count, amount: win.amount });
+                // Mark winning positions
+                for (let i = 0; i < win.count; i++) {
+                    winningPositions.add(`${i}-${payline[i]}`);
+                }
+            }
+        });
+
+        return withScatter({ totalWin, lineWins, winningPositions }, reelResults, config);
+    }
+
+    // Ways: a symbol wins when it, or a wild, is on each of the first 3+
+    // reels in a row, and pays once per way - per choice of one such cell
+    // on each of those reels. As on a payline the wild substitutes for
+    // every line symbol, a way needs at least one real symbol, and only
+    // 5 wilds pay as wilds. lineWins entries carry `ways` instead of `line`.
+    function evaluateWays(reelResults, config) {
+        const wild = config.symbols.WILD;
+        const scatter = config.scatter ? config.scatter.symbol : null;
+        let totalWin = 0;
+        const lineWins = [];
+        const winningPositions = new Set();
+
+        const addWin = (symbol, count, ways, isMatch) => {
+            const amount = config.paytable[symbol][count - 3] * ways;
+            if (amount <= 0) return;
+            totalWin += amount;
+            lineWins.push({ ways, symbol, count, amount });
+            for (let reel = 0; reel < count; reel++) {
+                reelResults[reel].forEach((cell, row) => {
+                    if (isMatch(cell)) winningPositions.add(`${reel}-${row}`);
+                });
+            }
+        };
+
+        for (let symbol in config.paytable) {
+            if (symbol === wild || symbol === scatter) continue;
+
+            const isMatch = cell => cell === symbol || cell === wild;
+            let count = 0;
+            let ways = 1;
+            let wildWays = 1;
+            while (count < reelResults.length && reelResults[count].some(isMatch)) {
+                ways *= reelResults[count].filter(isMatch).length;
+                wildWays *= reelResults[count].filter(cell => cell === wild).length;
+                count++;
+            }
+            if (count >= 3 && ways > wildWays) {
+                addWin(symbol, count, ways - wildWays, isMatch);
+            }
+        }
+
+        const wildWays = reelResults.reduce((product, reel) => product * reel.filter(cell => cell === wild).length, 1);
+        if (wildWays > 0) {
+            addWin(wild, reelResults.length, wildWays, cell => cell === wild);
+        }
+
+        return withScatter({ totalWin, lineWins, winningPositions }, reelResults, config);
+    }
+
+    // Adds the scatter pay and cells to a line or ways result
+    function withScatter(result, reelResults, config) {
+        const scatterWin = evaluateScatter(reelResults, config);
+        result.totalWin += scatterWin.amount;
+        scatterWin.positions.forEach(pos => result.winningPositions.add(pos));
+        return Object.assign(result, { scatterWin });
+    }
+
+    // Scatters count anywhere on the grid: 3, 4 and 5 or more pay
+    // scatter.pays and award scatter.spins extra spins.
+    function evaluateScatter(reelResults, config) {
+        const scatter = config.scatter;
+        const positions = [];
+        if (scatter) {
+            reelResults.forEach((reel, reelIndex) => reel.forEach((symbol, row) => {
+                if (symbol === scatter.symbol) positions.push(`${reelIndex}-${row}`);
+            }));
+        }
+
+        const count = positions.length;
+        if (count < 3) {
+            return { count, amount: 0, spins: 0, positions: [] };
+        }
+
+        const payIndex = Math.min(count, 5) - 3;
+        return { count, amount: scatter.pays[payIndex], spins: scatter.spins[payIndex], positions };
+    }
+
+    function checkPayline(symbols, config) {
+        const wild = config.symbols.WILD;
+
+        // Replace wildcards
+        const firstNonWild = symbols.find(s => s !== wild);
+        if (!firstNonWild) {
+            // All wilds
+            return { amount: config.paytable[wild][2], count: 5, symbol: wild };
+        }
+
+        // Scatters only pay through evaluateScatter and break the line
+        if (config.scatter && firstNonWild === config.scatter.symbol) {
+            return { amount: 0, count: 0, symbol: null };
+        }
+
+        let count = 0;
+        for (let symbol of symbols) {
+            if (symbol === firstNonWild || symbol === wild) {
+                count++;
+            } else {
+                break;
+            }
+        }
+
+        if (count >= 3) {
+            const payIndex = count - 3; // 3=0, 4=1, 5=2
+            const payout = config.paytable[firstNonWild][payIndex];
+            return { amount: payout, count, symbol: firstNonWild };
+        }
+
+        return { amount: 0, count: 0, symbol: null };
+    }
+
+    // The Plinko modifiers a spin can award: `count` or more of `symbol`
+    // (a symbol id) anywhere on the middle row earns `modifier`. Listed in
+    // award order; the rules screen is rendered from this table too.
+    const MODIFIER_ROW = 1;
+    const MODIFIER_RULES = [
+        { modifier: 'leftWall', symbol: 'MID_A', count: 3 },   // 💎💎💎 = Left wall blocker
+        { modifier: 'rightWall', symbol: 'MID_B', count: 3 },  // ⭐⭐⭐ = Right wall blocker
+        { modifier: 'tripleBall', symbol: 'WILD', count: 3 },  // 🎰🎰🎰 = 3 balls next drop
+        { modifier: 'doubleBall', symbol: 'HIGH', count: 3 }   // 👑👑👑 = 2 balls next drop
+    ];
+
+    // Returns the Plinko modifiers earned by this grid, in award order.
+    function checkForModifiers(reelResults, config) {
+        const row = reelResults.map(reel => reel[MODIFIER_ROW]);
+        return MODIFIER_RULES
+            .filter(rule => row.filter(s => s === config.symbols[rule.symbol]).length >= rule.count)
+            .map(rule => rule.modifier);
+    }
+
+    return {
+        stripSetFor,
+        visibleRows,
+        spinReelStrips,
+        evaluateSpin,
+        evaluatePaylines,
+        evaluateWays,
+        evaluateScatter,
+        checkPayline,
+        MODIFIER_ROW,
+        MODIFIER_RULES,
+        checkForModifiers
+    };
+});
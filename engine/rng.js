@@ -0,0 +1,89 @@
+/*
+RANDOM NUMBERS
+
+Every random draw in the game goes through an Rng so a round can be
+replayed from its seed. The engine accepts any object with a next()
+method returning a float in [0, 1); Rng is the default (xoshiro128**,
+seeded through splitmix32).
+
+An Rng counts its draws, so (seed, draws) pins down the exact point in
+the stream where a drop started.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    function rotl(x, k) {
+        return (x << k) | (x >>> (32 - k));
+    }
+
+    // Expands a 32-bit seed into well-mixed state words
+    function splitmix32(seed) {
+        let a = seed | 0;
+        return function () {
+            a = (a + 0x9e3779b9) | 0;
+            let t = a ^ (a >>> 16);
+            t = Math.imul(t, 0x21f0aaad);
+            t = t ^ (t >>> 15);
+            t = Math.imul(t, 0x735a2d97);
+            return (t ^ (t >>> 15)) >>> 0;
+        };
+    }
+
+    class Rng {
+        constructor(seed) {
+            this.seed = seed >>> 0;
+            this.draws = 0;
+
+            const mix = splitmix32(this.seed);
+            this.s = [mix(), mix(), mix(), mix()];
+        }
+
+        // Float in [0, 1)
+        next() {
+            const s = this.s;
+            const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+            const t = s[1] << 9;
+
+            s[2] ^= s[0];
+            s[3] ^= s[1];
+            s[1] ^= s[2];
+            s[0] ^= s[3];
+            s[2] ^= t;
+            s[3] = rotl(s[3], 11);
+
+            this.draws++;
+            return result / 4294967296;
+        }
+
+        // Fast-forwards the stream, e.g. to the start of a recorded drop
+        skip(count) {
+            for (let i = 0; i < count; i++) {
+                this.next();
+            }
+        }
+    }
+
+    // A fresh 32-bit seed from the platform's crypto source when available
+    function randomSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    function createRng(seed = randomSeed()) {
+        return new Rng(seed);
+    }
+
+    return {
+        Rng,
+        randomSeed,
+        createRng
+    };
+});
@@ -0,0 +1,457 @@
+/*
+EXACT RTP CALCULATOR
+
+Computes the reel game's expected value exactly instead of sampling it:
+every combination of the five cells on a payline is enumerated with its
+probability from the reel strips and scored with checkPayline itself, so
+the wild-substitution rules are the game's own. A stop index is uniform,
+so each cell of a reel shows each strip position equally often, and the
+reels stop independently; the expected win of a spin is the sum over the
+paylines. Base and bonus strips are evaluated separately.
+
+In ways mode a symbol's run and ways depend only on how many matching
+(symbol or wild) and wild cells each reel shows, and the reels are
+independent, so the expected ways for a run of n reels is the product of
+the per-reel expected matches, less the all-wild ways, times the chance
+that reel n+1 shows no match.
+
+Scatters are counted over the whole grid: each reel's stop gives it 0-3
+scatters, so the per-reel counts are convolved into the exact chance of
+3, 4 and 5+ scatters. Their expected pay joins the spin's expected win,
+and their expected extra spins e turn a session of n spins into n / (1 - e)
+spins on average (each spin may add more).
+
+Every function takes the game config (default: game-config.json).
+
+That is combined with the probability of each Plinko pocket - measured by
+running the physics, an ideal board of the configured rows and layout, or
+a list you pass in - the spins each pocket awards and its session
+multiplier (bonus or MULTIPLIER pocket), plus the cash of CASH and COLLECT
+pockets, giving the expected win per drop. Board modifiers (walls, extra
+balls) are not part of this figure. Each risk level has its own pocket
+table on the same board, so the pocket probabilities are shared and
+checkRiskLevels compares every level's RTP with the one target.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./config.js'),
+            require('./rng.js'),
+            require('./physics.js'),
+            require('./reels.js')
+        ));
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory(root.DropSpin));
+    }
+})(typeof self !== 'undefined' ? self : this, function (DropSpin) {
+    const {
+        defaultConfig,
+        createRng,
+        Ball,
+        createBoard,
+        visibleRows,
+        checkPayline
+    } = DropSpin;
+
+    // Same safety net as the engine's headless rounds
+    const MAX_DROP_TICKS = 10000;
+
+    // Measured pocket probabilities come from a fixed seed unless told
+    // otherwise, so a config passes or fails the RTP check the same way on
+    // every run; a million drops keep the rare edge pockets to about a
+    // tenth of a percent of RTP.
+    const MEASURE_SEED = 1;
+    const MEASURE_DROPS = 1000000;
+
+    // ============================================
+    // REEL GAME
+    // ============================================
+
+    // Chance of each symbol in any one cell, per reel
+    function reelProbabilities(strips) {
+        return strips.map(strip => {
+            const probabilities = {};
+            for (let symbol of strip) {
+                probabilities[symbol] = (probabilities[symbol] || 0) + 1 / strip.length;
+            }
+            return probabilities;
+        });
+    }
+
+    // Exact distribution of one payline's result on the given strip set
+    // ('base' or 'bonus'), keyed "symbol:count"
+    function lineOutcomes(config = defaultConfig, stripSet = 'base') {
+        const reels = reelProbabilities(config.reelStrips[stripSet] || config.reelStrips.base);
+        const outcomes = {};
+
+        const line = [];
+        (function enumerate(reel, probability) {
+            if (reel === 5) {
+                const win = checkPayline(line, config);
+                if (win.amount > 0) {
+                    const key = `${win.symbol}:${win.count}`;
+                    outcomes[key] = outcomes[key] || { symbol: win.symbol, count: win.count, amount: win.amount, probability: 0 };
+                    outcomes[key].probability += probability;
+                }
+                return;
+            }
+            for (let symbol in reels[reel]) {
+                line[reel] = symbol;
+                enumerate(reel + 1, probability * reels[reel][symbol]);
+            }
+        })(0, 1);
+
+        const order = Object.keys(config.paytable);
+        return Object.values(outcomes).sort((a, b) =>
+            order.indexOf(a.symbol) - order.indexOf(b.symbol) || a.count - b.count);
+    }
+
+    // Ways mode: the chance of each "symbol:count" win in a spin and its
+    // expected number of ways, from per-reel match counts over the stops
+    function waysOutcomes(config = defaultConfig, stripSet = 'base') {
+        const strips = config.reelStrips[stripSet] || config.reelStrips.base;
+        const wild = config.symbols.WILD;
+        const scatter = config.scatter ? config.scatter.symbol : null;
+        const product = values => values.reduce((result, value) => result * value, 1);
+
+        // Per reel: expected matches and wilds, P(no match), P(a match),
+        // P(wilds but no symbol)
+        const reelStats = isMatch => strips.map(strip => {
+            const stats = { matches: 0, wilds: 0, none: 0, some: 0, wildOnly: 0 };
+            strip.forEach((_, stop) => {
+                const window = visibleRows([strip], [stop])[0];
+                const matches = window.filter(isMatch).length;
+                const wilds = window.filter(cell => cell === wild).length;
+                stats.matches += matches / strip.length;
+                stats.wilds += wilds / strip.length;
+                stats[matches === 0 ? 'none' : 'some'] += 1 / strip.length;
+                if (wilds > 0 && matches === wilds) stats.wildOnly += 1 / strip.length;
+            });
+            return stats;
+        });
+
+        const outcomes = [];
+        for (let symbol in config.paytable) {
+            if (symbol === wild || symbol === scatter) continue;
+
+            const stats = reelStats(cell => cell === symbol || cell === wild);
+            [3, 4, 5].forEach(count => {
+                const run = stats.slice(0, count);
+                const ends = count < strips.length ? stats[count].none : 1;
+                const expectedWays = (product(run.map(r => r.matches)) - product(run.map(r => r.wilds))) * ends;
+                const probability = (product(run.map(r => r.some)) - product(run.map(r => r.wildOnly))) * ends;
+                if (probability > 0 && config.paytable[symbol][count - 3] > 0) {
+                    outcomes.push({ symbol, count, amount: config.paytable[symbol][count - 3], probability, expectedWays });
+                }
+            });
+        }
+
+        const wilds = reelStats(cell => cell === wild);
+        const wildProbability = product(wilds.map(r => r.some));
+        if (wildProbability > 0 && config.paytable[wild][2] > 0) {
+            outcomes.push({
+                symbol: wild,
+                count: strips.length,
+                amount: config.paytable[wild][2],
+                probability: wildProbability,
+                expectedWays: product(wilds.map(r => r.matches))
+            });
+        }
+        return outcomes;
+    }
+
+    // Exact distribution of the number of scatters on the grid: index n is
+    // the chance of exactly n scatters
+    function scatterCountProbabilities(config = defaultConfig, stripSet = 'base') {
+        const strips = config.reelStrips[stripSet] || config.reelStrips.base;
+        let distribution = [1];
+        if (!config.scatter) return distribution;
+
+        for (let strip of strips) {
+            // Scatters this reel shows, over its stop positions
+            const reel = [0, 0, 0, 0];
+            strip.forEach((_, stop) => {
+                const count = visibleRows([strip], [stop])[0].filter(s => s === config.scatter.symbol).length;
+                reel[count] += 1 / strip.length;
+            });
+
+            const next = new Array(distribution.length + 3).fill(0);
+            distribution.forEach((p, total) => reel.forEach((q, count) => {
+                next[total + count] += p * q;
+            }));
+            distribution = next;
+        }
+        return distribution;
+    }
+
+    // Chance, pay and extra spins of 3, 4 and 5+ scatters
+    function scatterOutcomes(config = defaultConfig, stripSet = 'base') {
+        if (!config.scatter) return [];
+        const distribution = scatterCountProbabilities(config, stripSet);
+        return [3, 4, 5].map((count, payIndex) => ({
+            symbol: config.scatter.symbol,
+            count,
+            amount: config.scatter.pays[payIndex],
+            spins: config.scatter.spins[payIndex],
+            probability: count < 5
+                ? distribution[count] || 0
+                : distribution.slice(5).reduce((sum, p) => sum + p, 0),
+            scatter: true
+        }));
+    }
+
+    // Expected win of one spin (bet multiples), each paytable entry's share
+    // and the extra spins a spin awards on average. lineHitProbability (the
+    // chance one payline wins) is null in ways mode.
+    function spinExpectedValue(config = defaultConfig, stripSet = 'base') {
+        const ways = config.evaluation === 'ways';
+        const lineEntries = ways
+            ? waysOutcomes(config, stripSet).map(outcome => Object.assign(outcome, {
+                expectedValue: outcome.expectedWays * outcome.amount
+            }))
+            : lineOutcomes(config, stripSet).map(outcome => Object.assign(outcome, {
+                expectedValue: outcome.probability * outcome.amount * config.paylines.length
+            }));
+        const scatterEntries = scatterOutcomes(config, stripSet).map(outcome => Object.assign(outcome, {
+            expectedValue: outcome.probability * outcome.amount
+        }));
+        const entries = lineEntries.concat(scatterEntries);
+        const expectedValue = entries.reduce((sum, entry) => sum + entry.expectedValue, 0);
+        const lineHitProbability = ways ? null : lineEntries.reduce((sum, entry) => sum + entry.probability, 0);
+        const expectedExtraSpins = scatterEntries.reduce((sum, entry) => sum + entry.probability * entry.spins, 0);
+
+        return { expectedValue, lineHitProbability, expectedExtraSpins, entries };
+    }
+
+    // Average length of a session that starts with `spins` spins, counting
+    // scatter awards and the awards of those spins in turn
+    function sessionSpins(spins, spin) {
+        if (spin.expectedExtraSpins >= 1) {
+            throw new Error('Scatters award at least one extra spin per spin on average, so sessions never end');
+        }
+        return spins / (1 - spin.expectedExtraSpins);
+    }
+
+    // ============================================
+    // PLINKO POCKETS
+    // ============================================
+
+    // Ideal board on the configured peg rows and layout: a ball dropped at
+    // the centre goes half a peg spacing left or right, 50/50, off every
+    // peg it meets - only inwards at the side walls - and falls straight
+    // through a row it meets no peg of. On a triangle with one pocket more
+    // than rows this is the binomial distribution.
+    function binomialPocketProbabilities(config = defaultConfig) {
+        const board = createBoard(config);
+        const half = board.width / (config.plinko.pockets.length + 1) / 2;
+        const sameX = (a, b) => Math.abs(a - b) < 1e-6;
+
+        let positions = [{ x: board.width / 2, probability: 1 }];
+        for (let row = 0; row < config.plinko.rows; row++) {
+            const pegs = board.pegs.filter(peg => peg.row === row);
+            const next = [];
+            const add = (x, probability) => {
+                const position = next.find(p => sameX(p.x, x));
+                if (position) {
+                    position.probability += probability;
+                } else {
+                    next.push({ x, probability });
+                }
+            };
+            for (let { x, probability } of positions) {
+                if (!pegs.some(peg => sameX(peg.x, x))) {
+                    add(x, probability);
+                    continue;
+                }
+                const sides = [x - half, x + half].filter(side => side > 0 && side < board.width);
+                sides.forEach(side => add(side, probability / sides.length));
+            }
+            positions = next;
+        }
+
+        const probabilities = board.pocketZones.map(() => 0);
+        for (let { x, probability } of positions) {
+            const index = board.pocketZones.findIndex(zone => x >= zone.x && x < zone.x + zone.width);
+            probabilities[index] += probability;
+        }
+        return probabilities;
+    }
+
+    // Pocket frequencies of the real physics with no modifiers in play:
+    // { probabilities, stuck }. A ball still falling after MAX_DROP_TICKS
+    // steps is counted as stuck and left out of the probabilities, as the
+    // engine refunds such a drop. options: { config, drops, seed }
+    function measurePocketProbabilities(options = {}) {
+        const config = options.config || defaultConfig;
+        const drops = options.drops || MEASURE_DROPS;
+        const rng = createRng(options.seed !== undefined ? options.seed : MEASURE_SEED);
+        const board = createBoard(config);
+        const modifiers = { leftWall: false, rightWall: false, extraBalls: 0 };
+        const counts = config.plinko.pockets.map(() => 0);
+        let stuck = 0;
+
+        for (let i = 0; i < drops; i++) {
+            const ball = new Ball(board.width / 2, 20, rng);
+            let ticks = 0;
+            while (!ball.update(board, modifiers) && ++ticks < MAX_DROP_TICKS) {
+                // fall until landed
+            }
+            if (ball.landed) {
+                counts[ball.landedPocket]++;
+            } else {
+                stuck++;
+            }
+        }
+
+        const landed = drops - stuck;
+        if (landed === 0) {
+            throw new Error(`No ball landed within ${MAX_DROP_TICKS} ticks`);
+        }
+        return { probabilities: counts.map(count => count / landed), stuck };
+    }
+
+    // ============================================
+    // DROP EXPECTED VALUE
+    // ============================================
+
+    // Spins, session multiplier and cash (bet multiples) a pocket awards.
+    // collectPays is the average pot a COLLECT pocket pays.
+    function pocketAward(pocket, config, collectPays) {
+        switch (pocket.type) {
+            case 'BONUS':
+                return { spins: config.bonusSpins, multiplier: config.bonusMultiplier, cash: 0 };
+            case 'MULTIPLIER':
+                return { spins: pocket.award, multiplier: pocket.multiplier, cash: 0 };
+            case 'CASH':
+                return { spins: 0, multiplier: 1, cash: pocket.pays };
+            case 'COLLECT':
+                return { spins: 0, multiplier: 1, cash: collectPays };
+            default:
+                return { spins: pocket.award > 0 ? pocket.award : 0, multiplier: 1, cash: 0 };
+        }
+    }
+
+    // The pot grows by `contribution` every drop and pays when any COLLECT
+    // pocket is hit, with chance p per drop: it is collected after 1 / p
+    // drops on average, so it pays seed + contribution / p. A pot no pocket
+    // can reach never pays.
+    function averageCollect(config, pockets, pocketProbabilities) {
+        const p = pockets.reduce((sum, pocket, index) =>
+            sum + (pocket.type === 'COLLECT' ? pocketProbabilities[index] : 0), 0);
+        const collect = config.plinko.collect;
+        return p > 0 ? collect.seed + collect.contribution / p : 0;
+    }
+
+    // options: { config, pocketProbabilities, target, risk }
+    function calculateRTP(options = {}) {
+        const config = options.config || defaultConfig;
+        const risk = options.risk || config.plinko.defaultRisk;
+        const pockets = config.plinko.riskLevels[risk];
+        if (!pockets) {
+            throw new Error(`Unknown risk level: ${risk}`);
+        }
+        const pocketProbabilities = options.pocketProbabilities || binomialPocketProbabilities(config);
+        const target = options.target !== undefined ? options.target : config.advertisedRtp;
+
+        if (pocketProbabilities.length !== pockets.length) {
+            throw new Error(`Expected ${pockets.length} pocket probabilities, got ${pocketProbabilities.length}`);
+        }
+
+        const baseSpin = spinExpectedValue(config, 'base');
+        const bonusSpin = spinExpectedValue(config, 'bonus');
+
+        // Expected spins per drop on each strip set, weighted by multiplier,
+        // and cash paid straight from the pockets
+        let baseSpins = 0;
+        let bonusSpins = 0;
+        let expectedSpins = 0;
+        let cashRtp = 0;
+        const collectPays = averageCollect(config, pockets, pocketProbabilities);
+        const pocketReport = pockets.map((pocket, index) => {
+            const spin = pocket.type === 'BONUS' ? bonusSpin : baseSpin;
+            const award = pocketAward(pocket, config, collectPays);
+            const spins = sessionSpins(award.spins, spin);
+            const multiplier = award.multiplier;
+            const probability = pocketProbabilities[index];
+            if (pocket.type === 'BONUS') {
+                bonusSpins += probability * spins * multiplier;
+            } else {
+                baseSpins += probability * spins * multiplier;
+            }
+            expectedSpins += probability * spins;
+            cashRtp += probability * award.cash;
+            return {
+                index,
+                label: pocket.label,
+                probability,
+                rtpContribution: probability * (spins * multiplier * spin.expectedValue + award.cash)
+            };
+        });
+
+        const rtp = baseSpins * baseSpin.expectedValue + bonusSpins * bonusSpin.expectedValue + cashRtp;
+
+        // An entry whose share alone is above the target can't be balanced
+        // by any other entry. payForTarget is what the entry would have to
+        // pay (all else equal) for the total to land on the target.
+        const paytable = baseSpin.entries.filter(entry => entry.amount > 0).map(entry => {
+            const bonusEntry = bonusSpin.entries.find(e =>
+                e.symbol === entry.symbol && e.count === entry.count && e.scatter === entry.scatter);
+            const rtpContribution = entry.expectedValue * baseSpins +
+                (bonusEntry ? bonusEntry.expectedValue * bonusSpins : 0);
+            const rtpPerUnitPay = rtpContribution / entry.amount;
+            const payForTarget = entry.amount - (rtp - target) / rtpPerUnitPay;
+            return {
+                symbol: entry.symbol,
+                count: entry.count,
+                pay: entry.amount,
+                scatter: !!entry.scatter,
+                lineProbability: entry.probability,
+                rtpContribution,
+                payForTarget: payForTarget >= 0 ? payForTarget : null,
+                makesTargetImpossible: rtpContribution > target
+            };
+        });
+
+        return {
+            risk,
+            rtp,
+            target,
+            difference: rtp - target,
+            spinExpectedValue: baseSpin.expectedValue,
+            bonusSpinExpectedValue: bonusSpin.expectedValue,
+            lineHitProbability: baseSpin.lineHitProbability,
+            expectedExtraSpins: baseSpin.expectedExtraSpins,
+            bonusExpectedExtraSpins: bonusSpin.expectedExtraSpins,
+            expectedSpinsPerDrop: expectedSpins,
+            cashRtp,
+            pockets: pocketReport,
+            paytable,
+            flagged: paytable.filter(entry => entry.makesTargetImpossible)
+        };
+    }
+
+    // Every risk level's RTP against the same target; a level is off when
+    // it is more than `tolerance` (default 0.01) away.
+    // options: { config, pocketProbabilities, target, tolerance }
+    function checkRiskLevels(options = {}) {
+        const config = options.config || defaultConfig;
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 0.01;
+
+        return Object.keys(config.plinko.riskLevels).map(risk => {
+            const { rtp, target, difference } = calculateRTP(Object.assign({}, options, { config, risk }));
+            return { risk, rtp, target, difference, withinTolerance: Math.abs(difference) <= tolerance };
+        });
+    }
+
+    return {
+        lineOutcomes,
+        waysOutcomes,
+        scatterCountProbabilities,
+        spinExpectedValue,
+        binomialPocketProbabilities,
+        measurePocketProbabilities,
+        calculateRTP,
+        checkRiskLevels
+    };
+});
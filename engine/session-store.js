@@ -0,0 +1,292 @@
+/*
+SESSION STORE
+
+Keeps a player's session across page reloads. The engine snapshot (wallet
+balance, bet, modifiers and any round still in play) is saved after every
+engine event, and each finished round is appended to a round log that is
+never rewritten.
+
+Works on any Web Storage-like object (getItem / setItem / removeItem), so
+localStorage in the browser. Keys:
+
+    <prefix>.session        { version, engine: GameEngine#snapshot(), entry }
+    <prefix>.rounds         number of logged rounds
+    <prefix>.round.<id>     one log entry
+
+The wallet balance itself is kept by the wallet (wallet.js). A log entry,
+amounts in minor units:
+
+    { id, version, roundId, timestamp, configVersion, bet, risk, seed,
+      draw, fair, collectPot, modifiers,       as the round started; collectPot
+                                               in bet multiples
+      balanceBefore, balanceAfter, win, cashWin, multiplier,
+      pockets: [{ index, label }],
+      modifiersConsumed, modifiersGained,      modifier names
+      spins: [{ grid, lineWins, scatter: { count, amount, spins }, win }],
+      resumed,                                 true if a reload cut in
+      refunded }                               true if the bet was then refunded
+                                               (see GameEngine#resume)
+
+grid is the visible reel window, grid[reel][row]. replayRecord() turns an
+entry back into the record replayRound() and recordReplay() play again
+(engine.js).
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Saved sessions of another version are dropped rather than misread
+    const SESSION_VERSION = 3;
+
+    // Log entries before version 2 hold the collect pot in minor units
+    const ROUND_VERSION = 2;
+
+    class SessionStore {
+        constructor(storage, prefix = 'dropspin') {
+            this.storage = storage;
+            this.prefix = prefix;
+        }
+
+        read(key) {
+            const value = this.storage.getItem(`${this.prefix}.${key}`);
+            return value === null ? null : JSON.parse(value);
+        }
+
+        write(key, value) {
+            this.storage.setItem(`${this.prefix}.${key}`, JSON.stringify(value));
+        }
+
+        loadSession() {
+            const session = this.read('session');
+            return session && session.version === SESSION_VERSION ? session : null;
+        }
+
+        saveSession(session) {
+            this.write('session', Object.assign({ version: SESSION_VERSION }, session));
+        }
+
+        get roundCount() {
+            return this.read('rounds') || 0;
+        }
+
+        // Adds a finished round under the next id
+        appendRound(entry) {
+            const id = this.roundCount;
+            this.write(`round.${id}`, Object.assign({}, entry, { id }));
+            this.write('rounds', id + 1);
+            return id;
+        }
+
+        round(id) {
+            return this.read(`round.${id}`);
+        }
+
+        // Every logged round, oldest first
+        rounds() {
+            const entries = [];
+            for (let id = 0; id < this.roundCount; id++) {
+                entries.push(this.round(id));
+            }
+            return entries;
+        }
+    }
+
+    // ============================================
+    // ROUND LOGGER
+    // ============================================
+
+    // Names of the modifiers a round was played with
+    function modifierNames(modifiers) {
+        const names = [];
+        if (modifiers.leftWall) names.push('leftWall');
+        if (modifiers.rightWall) names.push('rightWall');
+        if (modifiers.extraBalls === 1) names.push('doubleBall');
+        if (modifiers.extraBalls === 2) names.push('tripleBall');
+        return names;
+    }
+
+    // Follows an engine's events, saving its snapshot after each one and
+    // logging every round once it has played out.
+    class RoundLogger {
+        constructor(engine, store) {
+            this.engine = engine;
+            this.store = store;
+            this.entry = null; // round in play
+
+            engine.on('drop', ({ round }) => {
+                this.entry = {
+                    version: ROUND_VERSION,
+                    roundId: round.id,
+                    timestamp: new Date().toISOString(),
+                    configVersion: round.configVersion,
+                    bet: round.bet,
+                    risk: round.risk,
+                    seed: round.seed,
+                    draw: round.draw,
+                    fair: round.fair,
+                    collectPot: round.collectPot,
+                    modifiers: round.modifiers,
+                    balanceBefore: engine.state.balance + round.bet,
+                    balanceAfter: null,
+                    win: 0,
+                    cashWin: 0,
+                    multiplier: 1,
+                    pockets: [],
+                    modifiersConsumed: modifierNames(round.modifiers),
+                    modifiersGained: [],
+                    spins: [],
+                    resumed: false
+                };
+                this.save();
+            });
+            engine.on('pocket', ({ index, pocket }) => {
+                this.entry.pockets.push({ index, label: pocket.label });
+            });
+            engine.on('turnResult', ({ spinsRemaining, multiplier, cashWin }) => {
+                this.entry.cashWin = cashWin;
+                this.entry.multiplier = multiplier;
+                if (spinsRemaining === 0) {
+                    this.finish();
+                } else {
+                    this.save();
+                }
+            });
+            engine.on('modifier', ({ name }) => {
+                this.entry.modifiersGained.push(name);
+            });
+            engine.on('spinResult', ({ reelResults, lineWins, scatterWin, winAmount, spinsRemaining }) => {
+                this.entry.spins.push({
+                    grid: reelResults,
+                    lineWins: lineWins.map(win => Object.assign({}, win)),
+                    scatter: { count: scatterWin.count, amount: scatterWin.amount, spins: scatterWin.spins },
+                    win: winAmount
+                });
+                if (spinsRemaining > 0) this.save();
+            });
+            engine.on('sessionEnd', () => this.finish());
+        }
+
+        save() {
+            this.store.saveSession({ engine: this.engine.snapshot(), entry: this.entry });
+        }
+
+        finish() {
+            this.entry.balanceAfter = this.engine.state.balance;
+            this.entry.win = this.engine.round.win;
+            this.store.appendRound(this.entry);
+            this.entry = null;
+            this.save();
+        }
+
+        // Picks up the saved session: restores the engine and, when a reel
+        // session was cut off, the log entry of its round. Call before the
+        // first drop. Returns what engine.resume() did.
+        resume() {
+            const session = this.store.loadSession();
+            if (!session) return null;
+
+            const resumed = this.engine.resume(session.engine);
+            if (resumed === 'spins' && session.entry) {
+                this.entry = Object.assign(session.entry, { resumed: true });
+            } else if (resumed === 'drop' && this.entry) {
+                // The drop event started a fresh entry for the replayed drop
+                this.entry.resumed = true;
+            } else if (resumed === 'refunded' && session.entry) {
+                // Logged as it stood, with whatever it paid before the reload
+                const entry = session.entry;
+                this.store.appendRound(Object.assign(entry, {
+                    balanceAfter: this.engine.state.balance,
+                    win: entry.cashWin + entry.spins.reduce((sum, spin) => sum + spin.win, 0),
+                    resumed: true,
+                    refunded: true
+                }));
+            }
+            this.save();
+            return resumed;
+        }
+    }
+
+    // The round record of a log entry. Entries logged before modifiers
+    // and the collect pot were kept get them back from the modifier names
+    // and the pot's starting value; a pot logged in minor units is turned
+    // into bet multiples.
+    function replayRecord(entry) {
+        const modifiers = entry.modifiers || {
+            leftWall: entry.modifiersConsumed.includes('leftWall'),
+            rightWall: entry.modifiersConsumed.includes('rightWall'),
+            extraBalls: entry.modifiersConsumed.includes('tripleBall') ? 2 : entry.modifiersConsumed.includes('doubleBall') ? 1 : 0
+        };
+        return {
+            id: entry.roundId,
+            seed: entry.seed,
+            draw: entry.draw,
+            fair: entry.fair,
+            configVersion: entry.configVersion,
+            bet: entry.bet,
+            risk: entry.risk,
+            collectPot: entry.collectPot !== undefined && !(entry.version >= ROUND_VERSION)
+                ? entry.collectPot / entry.bet
+                : entry.collectPot,
+            modifiers
+        };
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+
+    const CSV_COLUMNS = [
+        'id', 'roundId', 'timestamp', 'bet', 'risk', 'pockets', 'modifiersConsumed', 'modifiersGained',
+        'multiplier', 'cashWin', 'spins', 'grids', 'lineWins', 'win', 'balanceBefore', 'balanceAfter', 'resumed', 'refunded'
+    ];
+
+    function csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // One row per round; each spin's grid is written row by row ("/"
+    // between rows, "|" between spins)
+    function roundsToCsv(entries) {
+        const rows = entries.map(entry => {
+            const fields = {
+                id: entry.id,
+                roundId: entry.roundId,
+                timestamp: entry.timestamp,
+                bet: entry.bet,
+                risk: entry.risk,
+                pockets: entry.pockets.map(pocket => pocket.label).join(' '),
+                modifiersConsumed: entry.modifiersConsumed.join(' '),
+                modifiersGained: entry.modifiersGained.join(' '),
+                multiplier: entry.multiplier,
+                cashWin: entry.cashWin,
+                spins: entry.spins.length,
+                grids: entry.spins
+                    .map(spin => spin.grid[0].map((_, row) => spin.grid.map(reel => reel[row]).join('')).join('/'))
+                    .join('|'),
+                lineWins: entry.spins
+                    .map(spin => spin.lineWins.map(win => `${win.symbol}x${win.count}`).join(' '))
+                    .join('|'),
+                win: entry.win,
+                balanceBefore: entry.balanceBefore,
+                balanceAfter: entry.balanceAfter,
+                resumed: entry.resumed,
+                refunded: Boolean(entry.refunded)
+            };
+            return CSV_COLUMNS.map(column => csvField(fields[column])).join(',');
+        });
+        return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    return {
+        SessionStore,
+        RoundLogger,
+        replayRecord,
+        roundsToCsv
+    };
+});
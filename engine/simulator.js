@@ -0,0 +1,195 @@
+/*
+MONTE CARLO SIMULATOR
+
+Plays drops headlessly on a GameEngine and reports the maths of the
+current configuration: RTP, hit frequency, volatility, bonus and modifier
+trigger rates, max win, pocket distribution, and how much RTP each pocket,
+symbol and modifier contributes. All amounts are in multiples of the bet.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./config.js'),
+            require('./engine.js')
+        ));
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory(root.DropSpin));
+    }
+})(typeof self !== 'undefined' ? self : this, function (DropSpin) {
+    const { defaultConfig, GameEngine } = DropSpin;
+
+    const MODIFIER_NAMES = ['leftWall', 'rightWall', 'doubleBall', 'tripleBall'];
+
+    const BET = 100;
+
+    // options: { config, drops, seed, risk, onProgress(done, total) }
+    function simulate(options = {}) {
+        const config = options.config || defaultConfig;
+        const risk = options.risk || config.plinko.defaultRisk;
+        const pocketConfig = config.plinko.riskLevels[risk];
+        if (!pocketConfig) {
+            throw new Error(`Unknown risk level: ${risk}`);
+        }
+        const drops = options.drops || 100000;
+        const progressEvery = Math.max(1, Math.floor(drops / 100));
+
+        // Amounts are whole pence, so play a £1 bet (BET pence) for every
+        // fraction of a bet to be paid exactly, and divide by it to report
+        // bet multiples. The balance never runs out.
+        const engine = new GameEngine({ config, seed: options.seed, balance: Infinity, bet: BET, risk });
+
+        const pocketCounts = pocketConfig.map(() => 0);
+        const pocketWin = pocketConfig.map(() => 0);
+        const symbolWin = {};
+        const modifierCounts = {};
+        const modifierDropWin = {};
+        const modifierDrops = {};
+        MODIFIER_NAMES.forEach(name => {
+            modifierCounts[name] = 0;
+            modifierDropWin[name] = 0;
+            modifierDrops[name] = 0;
+        });
+
+        // Session wins are split over the turn's pockets by the spins each
+        // pocket added
+        let pocketShares = [];
+        let spins = 0;
+        let bonusDrops = 0;
+        let bonusThisDrop = false;
+
+        engine.on('pocket', ({ index }) => {
+            pocketCounts[index]++;
+        });
+        engine.on('turnResult', ({ awards, spinsRemaining, bonus }) => {
+            pocketShares = awards.map(award => ({ index: award.index, share: award.spins / spinsRemaining }));
+            for (let award of awards) {
+                pocketWin[award.index] += award.cash / BET;
+            }
+            if (bonus) bonusThisDrop = true;
+        });
+        engine.on('spinResult', ({ lineWins, scatterWin, multiplier, totalWin }) => {
+            spins++;
+            for (let { index, share } of pocketShares) {
+                pocketWin[index] += totalWin * share;
+            }
+            for (let line of lineWins) {
+                symbolWin[line.symbol] = (symbolWin[line.symbol] || 0) + line.amount * multiplier;
+            }
+            if (scatterWin.amount > 0) {
+                const symbol = engine.config.scatter.symbol;
+                symbolWin[symbol] = (symbolWin[symbol] || 0) + scatterWin.amount * multiplier;
+            }
+        });
+        engine.on('modifier', ({ name }) => {
+            modifierCounts[name]++;
+        });
+
+        let totalWin = 0;
+        let sumSquares = 0;
+        let hits = 0;
+        let maxWin = 0;
+
+        for (let i = 0; i < drops; i++) {
+            const modifiers = engine.state.modifiers;
+            const active = {
+                leftWall: modifiers.leftWall,
+                rightWall: modifiers.rightWall,
+                doubleBall: modifiers.extraBalls === 1,
+                tripleBall: modifiers.extraBalls === 2
+            };
+
+            bonusThisDrop = false;
+            engine.playRound();
+
+            const win = engine.round.win / BET;
+            totalWin += win;
+            sumSquares += win * win;
+            if (win > 0) hits++;
+            if (win > maxWin) maxWin = win;
+            if (bonusThisDrop) bonusDrops++;
+
+            for (let name of MODIFIER_NAMES) {
+                if (active[name]) {
+                    modifierDrops[name]++;
+                    modifierDropWin[name] += win;
+                }
+            }
+
+            if (options.onProgress && (i + 1) % progressEvery === 0) {
+                options.onProgress(i + 1, drops);
+            }
+        }
+
+        const mean = totalWin / drops;
+        const balls = pocketCounts.reduce((sum, count) => sum + count, 0);
+
+        // A modifier's contribution is the RTP paid by drops played with
+        // it in effect (walls on the board, extra balls dropped).
+        const modifiers = {};
+        for (let name of MODIFIER_NAMES) {
+            modifiers[name] = {
+                triggerRatePerDrop: modifierCounts[name] / drops,
+                triggerRatePerSpin: spins > 0 ? modifierCounts[name] / spins : 0,
+                dropsPlayedWith: modifierDrops[name],
+                rtpContribution: modifierDropWin[name] / drops
+            };
+        }
+
+        return {
+            drops,
+            configVersion: config.version,
+            risk,
+            seed: engine.rng.seed,
+            spins,
+            rtp: mean,
+            hitFrequency: hits / drops,
+            standardDeviation: Math.sqrt(Math.max(0, sumSquares / drops - mean * mean)),
+            bonusTriggerRate: bonusDrops / drops,
+            maxWin,
+            pockets: pocketConfig.map((pocket, index) => ({
+                index,
+                label: pocket.label,
+                probability: balls > 0 ? pocketCounts[index] / balls : 0,
+                rtpContribution: pocketWin[index] / drops
+            })),
+            symbols: Object.keys(symbolWin).map(symbol => ({
+                symbol,
+                rtpContribution: symbolWin[symbol] / drops
+            })),
+            modifiers
+        };
+    }
+
+    // Flattens a report into section,key,metric,value rows
+    function reportToCSV(report) {
+        const rows = [['section', 'key', 'metric', 'value']];
+
+        ['drops', 'configVersion', 'risk', 'seed', 'spins', 'rtp', 'hitFrequency', 'standardDeviation', 'bonusTriggerRate', 'maxWin']
+            .forEach(metric => rows.push(['summary', '', metric, report[metric]]));
+        report.pockets.forEach(pocket => {
+            rows.push(['pocket', `${pocket.index} ${pocket.label}`, 'probability', pocket.probability]);
+            rows.push(['pocket', `${pocket.index} ${pocket.label}`, 'rtpContribution', pocket.rtpContribution]);
+        });
+        report.symbols.forEach(symbol => {
+            rows.push(['symbol', symbol.symbol, 'rtpContribution', symbol.rtpContribution]);
+        });
+        Object.keys(report.modifiers).forEach(name => {
+            Object.keys(report.modifiers[name]).forEach(metric => {
+                rows.push(['modifier', name, metric, report.modifiers[name][metric]]);
+            });
+        });
+
+        return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    function csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    return {
+        simulate,
+        reportToCSV
+    };
+});
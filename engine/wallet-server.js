@@ -0,0 +1,78 @@
+/*
+LOCAL WALLET SERVER
+
+Stand-in for the platform's game server side of the wallet protocol, so
+the game can run against RemoteWallet before a real server exists. It
+keeps the ledger in a LocalWallet and answers one JSON message at a time.
+
+Requests:
+    { type: 'balance' }
+    { type: 'debit',    roundId, amount, idempotencyKey }
+    { type: 'credit',   roundId, amount, idempotencyKey }
+    { type: 'rollback', roundId, idempotencyKey, debitKey }
+    { type: 'deposit',  amount, idempotencyKey }
+
+Responses:
+    { status: 'ok', balance, transactionId }     (no transactionId for balance)
+    { status: 'error', error }
+
+Amounts are integer minor units. Messages are copied through JSON both
+ways, as they would be on the wire.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./wallet.js'));
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory(root.DropSpin));
+    }
+})(typeof self !== 'undefined' ? self : this, function (DropSpin) {
+    const { LocalWallet } = DropSpin;
+
+    class MockWalletServer {
+        // options are LocalWallet's: { balance, storage, key }
+        constructor(options = {}) {
+            this.ledger = new LocalWallet(Object.assign({ key: 'dropspin.wallet-server' }, options));
+        }
+
+        // The transport function to hand to RemoteWallet
+        get send() {
+            return request => JSON.parse(JSON.stringify(this.handle(JSON.parse(JSON.stringify(request)))));
+        }
+
+        handle(request) {
+            const { type, roundId, amount, idempotencyKey, debitKey } = request;
+            let result;
+            try {
+                switch (type) {
+                    case 'balance':
+                        return { status: 'ok', balance: this.ledger.balance };
+                    case 'debit':
+                        result = this.ledger.debit({ roundId, amount, key: idempotencyKey });
+                        break;
+                    case 'credit':
+                        result = this.ledger.credit({ roundId, amount, key: idempotencyKey });
+                        break;
+                    case 'rollback':
+                        result = this.ledger.rollback({ roundId, key: idempotencyKey, debitKey });
+                        break;
+                    case 'deposit':
+                        result = this.ledger.deposit({ amount, key: idempotencyKey });
+                        break;
+                    default:
+                        return { status: 'error', error: 'unknown_request' };
+                }
+            } catch (error) {
+                return { status: 'error', error: 'invalid_request' };
+            }
+
+            return result.ok
+                ? { status: 'ok', balance: result.balance, transactionId: result.transactionId }
+                : { status: 'error', error: result.error };
+        }
+    }
+
+    return {
+        MockWalletServer
+    };
+});
@@ -0,0 +1,205 @@
+/*
+WALLET
+
+Every change to the player's balance is a wallet transaction in integer
+minor units (pence): the bet is debited when a drop starts, wins are
+credited as they are paid, and a debit whose round cannot be played is
+rolled back. Each transaction names its round and carries an idempotency
+key; a request repeating a key the wallet has already seen gets the
+original result back and moves no money, so replaying an interrupted
+round never charges or pays twice. A key reused for a different
+transaction (another type, round or amount) is refused.
+
+The engine talks to any object with this (synchronous) interface:
+
+    balance                                     current balance
+    debit({ roundId, amount, key })             take a bet
+    credit({ roundId, amount, key })            pay a win
+    rollback({ roundId, key, debitKey })        refund an earlier debit
+    deposit({ amount, key })                    add the player's own funds
+
+each returning { ok: true, balance, transactionId } or
+{ ok: false, error } with error 'insufficient_funds',
+'unknown_transaction', 'idempotency_mismatch' or, from a remote wallet,
+whatever the server sent.
+
+LocalWallet keeps the balance in the browser (saved to Web Storage when
+given one). RemoteWallet sends the same transactions as protocol messages
+through a transport function - see wallet-server.js for the message
+format and a local mock server that speaks it.
+*/
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DropSpin = Object.assign(root.DropSpin || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Results kept for idempotent retries; a retry only ever concerns the
+    // round in play, so older keys can be forgotten.
+    const MAX_REMEMBERED_TRANSACTIONS = 200;
+
+    // A fresh random id (hex) from the platform's crypto source. Round ids
+    // never draw from the game RNG, which would change the outcomes.
+    function randomId(byteCount = 12) {
+        const bytes = new Uint8Array(byteCount);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < byteCount; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function checkAmount(amount) {
+        if (!Number.isInteger(amount) || amount < 0) {
+            throw new Error(`Wallet amounts are whole minor units, got ${amount}`);
+        }
+    }
+
+    // ============================================
+    // LOCAL WALLET
+    // ============================================
+
+    class LocalWallet {
+        // options: { balance, storage, key }. A stored wallet wins over the
+        // opening balance.
+        constructor(options = {}) {
+            this.storage = options.storage || null;
+            this.key = options.key || 'dropspin.wallet';
+            this.balance = options.balance !== undefined ? options.balance : 10000;
+            this.transactions = []; // [{ key, type, roundId, amount, result, rolledBack }]
+            this.nextTransactionId = 1;
+
+            const saved = this.storage && this.storage.getItem(this.key);
+            if (saved) {
+                Object.assign(this, JSON.parse(saved));
+            }
+        }
+
+        debit({ roundId, amount, key }) {
+            checkAmount(amount);
+            return this.transact(key, { type: 'debit', roundId, amount }, () => {
+                if (amount > this.balance) return { ok: false, error: 'insufficient_funds' };
+                this.balance -= amount;
+                return this.record(key, 'debit', roundId, amount);
+            });
+        }
+
+        credit({ roundId, amount, key }) {
+            checkAmount(amount);
+            return this.transact(key, { type: 'credit', roundId, amount }, () => {
+                this.balance += amount;
+                return this.record(key, 'credit', roundId, amount);
+            });
+        }
+
+        deposit({ amount, key }) {
+            checkAmount(amount);
+            return this.transact(key, { type: 'deposit', roundId: null, amount }, () => {
+                this.balance += amount;
+                return this.record(key, 'deposit', null, amount);
+            });
+        }
+
+        rollback({ roundId, key, debitKey }) {
+            // The refund is the debit's amount, so only type and round match
+            return this.transact(key, { type: 'rollback', roundId }, () => {
+                const debit = this.transactions.find(t => t.key === debitKey && t.type === 'debit');
+                if (!debit || debit.rolledBack) return { ok: false, error: 'unknown_transaction' };
+                debit.rolledBack = true;
+                this.balance += debit.amount;
+                return this.record(key, 'rollback', roundId, debit.amount);
+            });
+        }
+
+        // Runs a transaction once per key; repeats of the same request get
+        // the first result
+        transact(key, request, apply) {
+            if (!key) {
+                throw new Error('Wallet transactions need an idempotency key');
+            }
+            const seen = this.transactions.find(t => t.key === key);
+            if (seen) {
+                const same = seen.type === request.type && seen.roundId === request.roundId &&
+                    (request.amount === undefined || seen.amount === request.amount);
+                return same ? seen.result : { ok: false, error: 'idempotency_mismatch' };
+            }
+
+            const result = apply();
+            this.save();
+            return result;
+        }
+
+        record(key, type, roundId, amount) {
+            const result = { ok: true, balance: this.balance, transactionId: String(this.nextTransactionId++) };
+            this.transactions.push({ key, type, roundId, amount, result, rolledBack: false });
+            if (this.transactions.length > MAX_REMEMBERED_TRANSACTIONS) {
+                this.transactions.shift();
+            }
+            return result;
+        }
+
+        save() {
+            if (!this.storage) return;
+            this.storage.setItem(this.key, JSON.stringify({
+                balance: this.balance,
+                transactions: this.transactions,
+                nextTransactionId: this.nextTransactionId
+            }));
+        }
+    }
+
+    // ============================================
+    // REMOTE WALLET
+    // ============================================
+
+    // Wallet held by a game server. send(request) delivers one protocol
+    // message and returns the server's response (wallet-server.js).
+    class RemoteWallet {
+        constructor(send) {
+            this.send = send;
+            const response = this.send({ type: 'balance' });
+            if (response.status !== 'ok') {
+                throw new Error(`Wallet server refused the balance request: ${response.error}`);
+            }
+            this.balance = response.balance;
+        }
+
+        debit({ roundId, amount, key }) {
+            checkAmount(amount);
+            return this.request({ type: 'debit', roundId, amount, idempotencyKey: key });
+        }
+
+        credit({ roundId, amount, key }) {
+            checkAmount(amount);
+            return this.request({ type: 'credit', roundId, amount, idempotencyKey: key });
+        }
+
+        rollback({ roundId, key, debitKey }) {
+            return this.request({ type: 'rollback', roundId, idempotencyKey: key, debitKey });
+        }
+
+        deposit({ amount, key }) {
+            checkAmount(amount);
+            return this.request({ type: 'deposit', amount, idempotencyKey: key });
+        }
+
+        request(message) {
+            const response = this.send(message);
+            if (response.status !== 'ok') {
+                return { ok: false, error: response.error };
+            }
+            this.balance = response.balance;
+            return { ok: true, balance: response.balance, transactionId: response.transactionId };
+        }
+    }
+
+    return {
+        randomId,
+        LocalWallet,
+        RemoteWallet
+    };
+});
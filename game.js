@@ -14,226 +14,145 @@ IMPORTANT GAME RULES:
 // GAME STATE
 // ============================================
 
-const gameState = {
-    balance: 100.00,
-    currentBet: 0.20,
-    isDropping: false,
-    isSpinning: false,
-    spinsRemaining: 0,
-    inBonus: false,
-    modifiers: {
-        leftWall: false,
-        rightWall: false,
-        extraBalls: 0 // 0 = normal, 1 = 2 balls, 2 = 3 balls
-    }
-};
-
-// ============================================
-// SYMBOLS & PAYTABLE
-// ============================================
-
-const SYMBOLS = {
-    LOW_A: '🍒',
-    LOW_B: '🍋',
-    LOW_C: '🍊',
-    MID_A: '💎',
-    MID_B: '⭐',
-    HIGH: '👑',
-    WILD: '🎰'
-};
-
-// Symbol weights for reel generation (higher = more common)
-const SYMBOL_WEIGHTS = {
-    [SYMBOLS.LOW_A]: 30,
-    [SYMBOLS.LOW_B]: 30,
-    [SYMBOLS.LOW_C]: 30,
-    [SYMBOLS.MID_A]: 20,
-    [SYMBOLS.MID_B]: 20,
-    [SYMBOLS.HIGH]: 10,
-    [SYMBOLS.WILD]: 5
-};
-
-// Payouts (multiplier of bet for 3, 4, 5 matches)
-const PAYTABLE = {
-    [SYMBOLS.LOW_A]: [1, 2, 5],
-    [SYMBOLS.LOW_B]: [1, 2, 5],
-    [SYMBOLS.LOW_C]: [1, 2, 5],
-    [SYMBOLS.MID_A]: [2, 5, 10],
-    [SYMBOLS.MID_B]: [2, 5, 10],
-    [SYMBOLS.HIGH]: [5, 10, 25],
-    [SYMBOLS.WILD]: [10, 25, 100]
-};
-
-// 10 Paylines for 5x3 grid (format: [row positions for reels 0-4])
-const PAYLINES = [
-    [1, 1, 1, 1, 1], // Middle line
-    [0, 0, 0, 0, 0], // Top line
-    [2, 2, 2, 2, 2], // Bottom line
-    [0, 1, 2, 1, 0], // V shape
-    [2, 1, 0, 1, 2], // Inverted V
-    [0, 0, 1, 2, 2], // Diagonal down
-    [2, 2, 1, 0, 0], // Diagonal up
-    [1, 0, 1, 2, 1], // W shape
-    [1, 2, 1, 0, 1], // M shape
-    [0, 1, 1, 1, 0]  // Wave
-];
+const {
+    GameEngine, createConfig, activeObstacles, SessionStore, RoundLogger,
+    LocalWallet, RemoteWallet, MockWalletServer, PlayerProtection
+} = DropSpin;
+
+const CONFIG_URL = 'game-config.json';
+
+// Play against the local mock of the game server's wallet protocol
+// (?wallet=mock) instead of the in-browser wallet
+const WALLET_MODE = new URLSearchParams(window.location.search).get('wallet') || 'local';
+
+// All rules live in the headless engine (engine/); this file only renders
+// what the engine reports and schedules the presentation delays. Both are
+// created once the game config has loaded, along with the store that
+// keeps the session and round log across reloads and the responsible-
+// gambling controls every drop has to pass.
+let config;
+let engine;
+let gameState;
+let sessionStore;
+let protection;
 
 // ============================================
-// PLINKO CONFIGURATION
-// ============================================
-
-const PLINKO_CONFIG = {
-    rows: 8,
-    pockets: [
-        { type: 'BONUS', award: 'bonus', label: 'BONUS' },      // 0 - Far left
-        { type: 'SPINS', award: 5, label: '5 SPINS' },          // 1
-        { type: 'SPINS', award: 3, label: '3 SPINS' },          // 2
-        { type: 'SPINS', award: 2, label: '2 SPINS' },          // 3
-        { type: 'SPINS', award: 1, label: '1 SPIN' },           // 4 - Center
-        { type: 'SPINS', award: 2, label: '2 SPINS' },          // 5
-        { type: 'SPINS', award: 3, label: '3 SPINS' },          // 6
-        { type: 'SPINS', award: 5, label: '5 SPINS' },          // 7
-        { type: 'BONUS', award: 'bonus', label: 'BONUS' }       // 8 - Far right
-    ]
-};
-
-// ============================================
-// CANVAS & PLINKO PHYSICS
+// CANVAS & RENDERING
 // ============================================
 
 let canvas, ctx;
 let canvasWidth, canvasHeight;
-let pegs = [];
-let balls = [];
-let pocketZones = [];
-
-class Ball {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.vx = (Math.random() - 0.5) * 3; // Initial horizontal velocity
-        this.vy = 0.5; // Small initial downward velocity
-        this.radius = 8;
-        this.gravity = 0.3; // Slightly reduced gravity for more peg interaction
-        this.bounce = 0.7; // Increased bounce for better physics
-        this.landed = false;
-        this.landedPocket = -1;
-    }
-
-    update() {
-        if (this.landed) return;
-
-        this.vy += this.gravity;
-        this.x += this.vx;
-        this.y += this.vy;
-
-        // Friction
-        this.vx *= 0.98;
-
-        // Check collision with pegs
-        for (let peg of pegs) {
-            const dx = this.x - peg.x;
-            const dy = this.y - peg.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist < this.radius + peg.radius) {
-                // Bounce off peg
-                const angle = Math.atan2(dy, dx);
-                const overlap = (this.radius + peg.radius) - dist;
-                
-                // Push ball out of peg
-                this.x = peg.x + Math.cos(angle) * (this.radius + peg.radius + 1);
-                this.y = peg.y + Math.sin(angle) * (this.radius + peg.radius + 1);
-                
-                // Calculate bounce with randomness
-                const bounceAngle = angle + (Math.random() - 0.5) * 0.6;
-                const speed = Math.max(2, Math.sqrt(this.vx * this.vx + this.vy * this.vy) * this.bounce);
-                this.vx = Math.cos(bounceAngle) * speed;
-                this.vy = Math.abs(Math.sin(bounceAngle) * speed); // Ensure downward movement
-            }
-        }
-
-        // Check collision with wall blockers (positioned to guide toward edges)
-        if (gameState.modifiers.leftWall) {
-            // Left wall blocks center-left, guides toward LEFT BONUS (far left)
-            const wallX = canvasWidth * 0.4; // More centered
-            if (this.x > wallX - 15 && this.x < wallX + 15 && this.y > 100) {
-                this.vx -= 1.5; // Push left toward bonus
-            }
-        }
-        if (gameState.modifiers.rightWall) {
-            // Right wall blocks center-right, guides toward RIGHT BONUS (far right)
-            const wallX = canvasWidth * 0.6; // More centered
-            if (this.x > wallX - 15 && this.x < wallX + 15 && this.y > 100) {
-                this.vx += 1.5; // Push right toward bonus
-            }
-        }
-
-        // Check if landed in pocket
-        if (this.y >= canvasHeight - 40) {
-            for (let i = 0; i < pocketZones.length; i++) {
-                if (this.x >= pocketZones[i].x && this.x <= pocketZones[i].x + pocketZones[i].width) {
-                    this.landed = true;
-                    this.landedPocket = i;
-                    this.y = canvasHeight - 25;
-                    this.vx = 0;
-                    this.vy = 0;
-                    resolvePocket(i);
-                    break;
-                }
-            }
-        }
-
-        // Boundaries
-        if (this.x < this.radius) {
-            this.x = this.radius;
-            this.vx *= -0.5;
-        }
-        if (this.x > canvasWidth - this.radius) {
-            this.x = canvasWidth - this.radius;
-            this.vx *= -0.5;
-        }
-    }
-
-    draw() {
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-        ctx.fillStyle = '#4ecca3';
-        ctx.fill();
-        ctx.strokeStyle = '#44c793';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-        
-        // Glow effect
-        ctx.shadowBlur = 15;
-        ctx.shadowColor = '#4ecca3';
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.shadowBlur = 0;
-    }
+let boardScale = 1;
+let boardOffsetX = 0;
+let boardOffsetY = 0;
+
+// alpha (0-1) places the ball between its last two physics steps
+function drawBall(ball, alpha) {
+    const x = ball.prevX + (ball.x - ball.prevX) * alpha;
+    const y = ball.prevY + (ball.y - ball.prevY) * alpha;
+    
+    ctx.beginPath();
+    ctx.arc(x, y, ball.radius, 0, Math.PI * 2);
+    ctx.fillStyle = '#4ecca3';
+    ctx.fill();
+    ctx.strokeStyle = '#44c793';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    
+    // Glow effect, left out in reduced motion
+    if (motionReduced()) return;
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = '#4ecca3';
+    ctx.beginPath();
+    ctx.arc(x, y, ball.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
 }
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
-function initGame() {
+async function initGame() {
+    // Text and currency come first: everything below shows one or the other
+    try {
+        await loadLocale();
+        config = await loadGameConfig();
+        setCurrency(config);
+        translatePage();
+    } catch (error) {
+        updateStatus(t('status.configFailed', { error: error.message }));
+        document.getElementById('dropButton').disabled = true;
+        return;
+    }
+    
+    const storage = window.localStorage;
+    engine = new GameEngine({
+        config,
+        wallet: createWallet(),
+        bet: locale.currency.defaultBet,
+        fairRng: commitment => fairServer.rngFor(commitment)
+    });
+    gameState = engine.state;
+    sessionStore = new SessionStore(storage, locale.storagePrefix);
+    const roundLogger = new RoundLogger(engine, sessionStore);
+    protection = new PlayerProtection({ config: config.responsibleGaming, storage, key: `${locale.storagePrefix}.protection` });
+    
     canvas = document.getElementById('plinkoCanvas');
     ctx = canvas.getContext('2d');
     
+    // Wallet, bet, risk and modifiers come back from the saved session
+    subscribeToEngine();
+    const resumed = roundLogger.resume();
+    // After the resume: a drop it plays again had its bet recorded before
+    // the reload, and its win is still settled when the turn ends
+    protection.attach(engine);
+    
+    renderPocketLabels();
+    renderPaytable();
+    renderGameInfo();
+    
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
     
-    setupPegs();
-    setupPockets();
     setupControls();
+    setupFairPanel();
+    setupAutoplayPanel();
+    setupHistoryPanel();
+    setupReplayPanel();
+    setupWinPresentation();
+    setupHelpOverlay();
+    setupSound();
+    setupAccessibility();
+    setupResponsiblePanel();
     updateUI();
+    resumeTurn(resumed);
     
     // Start animation loop
     requestAnimationFrame(animate);
 }
 
+// Both wallets keep their ledger in localStorage so the balance survives a
+// reload; the mock server's is its stand-in for the platform's database.
+// Each currency has its own (see ui/i18n.js).
+function createWallet() {
+    const { openingBalance } = locale.currency;
+    const prefix = locale.storagePrefix;
+    if (WALLET_MODE === 'mock') {
+        const server = new MockWalletServer({ balance: openingBalance, storage: window.localStorage, key: `${prefix}.wallet-server` });
+        return new RemoteWallet(server.send);
+    }
+    return new LocalWallet({ balance: openingBalance, storage: window.localStorage, key: `${prefix}.wallet` });
+}
+
+async function loadGameConfig() {
+    const response = await fetch(CONFIG_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${CONFIG_URL}: ${response.status}`);
+    }
+    return createConfig(await response.json());
+}
+
 function resizeCanvas() {
     const container = canvas.parentElement;
     canvasWidth = container.clientWidth;
@@ -241,83 +160,193 @@ function resizeCanvas() {
     canvas.width = canvasWidth;
     canvas.height = canvasHeight;
     
-    setupPegs();
-    setupPockets();
+    // Fit the fixed-size engine board into the canvas, pockets at the bottom
+    const board = engine.board;
+    boardScale = Math.min(canvasWidth / board.width, canvasHeight / board.height);
+    boardOffsetX = (canvasWidth - board.width * boardScale) / 2;
+    boardOffsetY = canvasHeight - board.height * boardScale;
+    
+    layoutPocketLabels();
 }
 
-function setupPegs() {
-    pegs = [];
-    const rows = PLINKO_CONFIG.rows;
-    const spacing = canvasWidth / (rows + 2);
-    const verticalSpacing = (canvasHeight - 80) / rows;
-    
-    for (let row = 0; row < rows; row++) {
-        const pegsInRow = row + 3;
-        const rowWidth = (pegsInRow - 1) * spacing;
-        const startX = (canvasWidth - rowWidth) / 2;
-        
-        for (let col = 0; col < pegsInRow; col++) {
-            pegs.push({
-                x: startX + col * spacing,
-                y: 60 + row * verticalSpacing,
-                radius: 4
-            });
-        }
-    }
+// Lines each pocket label up under its pocket zone
+function layoutPocketLabels() {
+    const container = document.getElementById('pocketLabels');
+    container.style.paddingLeft = `${boardOffsetX}px`;
+    Array.from(container.children).forEach((label, i) => {
+        label.style.width = `${engine.board.pocketZones[i].width * boardScale}px`;
+    });
 }
 
-function setupPockets() {
-    pocketZones = [];
-    const numPockets = PLINKO_CONFIG.pockets.length;
-    const pocketWidth = canvasWidth / numPockets;
-    
-    for (let i = 0; i < numPockets; i++) {
-        pocketZones.push({
-            x: i * pocketWidth,
-            width: pocketWidth
-        });
-    }
+function subscribeToEngine() {
+    engine.on('rejected', ({ reason, error }) => {
+        if (reason === 'balance') {
+            updateStatus(t('status.insufficientBalance'));
+        } else if (error === 'unpaid_win') {
+            // Some of the last round's wins may have been paid on this try
+            updateUI();
+            updateStatus(t('status.unpaidWin'));
+        } else if (reason === 'wallet') {
+            updateStatus(t('status.walletUnavailable', { error }));
+        }
+    });
+    engine.on('drop', ({ round }) => {
+        document.getElementById('roundId').textContent = round.fair
+            ? t('footer.fairRound', { nonce: round.fair.nonce, hash: round.fair.serverSeedHash.slice(0, 16) })
+            : t('footer.round', { seed: round.seed, draw: round.draw });
+    });
+    engine.on('creditFailed', ({ amount, error }) => {
+        showModifierAlert(t('alert.creditFailed', { amount: formatMoney(amount), error }));
+    });
+    engine.on('pocket', showBallLanded);
+    engine.on('turnResult', resolveTurn);
+    engine.on('spinResult', spinReels);
 }
 
 function setupControls() {
     // Drop button
     document.getElementById('dropButton').addEventListener('click', dropBall);
     
-    // Bet buttons
-    document.querySelectorAll('.bet-btn').forEach(btn => {
+    // Bet buttons, the currency's bet ladder
+    const betButtons = document.getElementById('betButtons');
+    betButtons.innerHTML = '';
+    for (let bet of locale.currency.bets) {
+        const btn = document.createElement('button');
+        btn.className = 'bet-btn';
+        setButtonActive(btn, bet === gameState.currentBet);
+        btn.dataset.bet = bet;
+        btn.textContent = formatBet(bet);
         btn.addEventListener('click', function() {
-            if (gameState.isDropping || gameState.isSpinning) return;
+            if (controlsLocked || !engine.setBet(parseInt(this.dataset.bet, 10))) return;
             
-            document.querySelectorAll('.bet-btn').forEach(b => b.classList.remove('active'));
-            this.classList.add('active');
-            gameState.currentBet = parseFloat(this.dataset.bet);
+            document.querySelectorAll('.bet-btn').forEach(b => setButtonActive(b, b === this));
+            // The pot is in bet multiples, so its label follows the bet
+            updateCollectLabels();
         });
+        betButtons.appendChild(btn);
+    }
+    
+    // Risk buttons, one per pocket table; hidden when there is no choice
+    const riskButtons = document.getElementById('riskButtons');
+    const levels = Object.keys(config.plinko.riskLevels);
+    document.getElementById('riskControls').style.display = levels.length > 1 ? '' : 'none';
+    riskButtons.innerHTML = '';
+    for (let level of levels) {
+        const btn = document.createElement('button');
+        btn.className = 'risk-btn';
+        setButtonActive(btn, level === gameState.risk);
+        btn.dataset.risk = level;
+        btn.textContent = riskName(level);
+        btn.addEventListener('click', function() {
+            if (controlsLocked || !engine.setRisk(this.dataset.risk)) return;
+            
+            document.querySelectorAll('.risk-btn').forEach(b => setButtonActive(b, b === this));
+            renderPocketLabels();
+            layoutPocketLabels();
+        });
+        riskButtons.appendChild(btn);
+    }
+}
+
+// The selected bet or risk, for the eye and for screen readers
+function setButtonActive(btn, active) {
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', String(active));
+}
+
+// Drop button, bet and risk level are locked from a drop until its reel
+// session has played out - and been presented, which outlasts the
+// engine's session. Autoplay keeps them clickable so any click on the
+// controls can stop it; called without an argument it re-applies the
+// current lock.
+let controlsLocked = false;
+
+function setControlsLocked(locked = controlsLocked) {
+    controlsLocked = locked;
+    const disabled = locked && !isAutoplaying();
+    document.getElementById('dropButton').disabled = disabled;
+    document.querySelectorAll('.bet-btn, .risk-btn').forEach(btn => {
+        btn.disabled = disabled;
     });
+    
+    // Keyboard players land back on the drop button when a turn ends,
+    // unless they have moved on elsewhere
+    const focused = document.activeElement;
+    if (!locked && !openDialog() && (focused === document.body || focused.disabled)) {
+        document.getElementById('dropButton').focus({ preventScroll: true });
+    }
+}
+
+// The drop and its reel session have played out
+function finishTurn() {
+    updateStatus(t('status.continue'));
+    setControlsLocked(false);
+    continueAutoplay();
+}
+
+// Turbo shortens every presentation delay; outcomes are unchanged
+let turbo = false;
+const TURBO_SPEED = 4;
+
+function presentationDelay(ms) {
+    return turbo ? ms / TURBO_SPEED : ms;
 }
 
 // ============================================
 // GAME LOOP & RENDERING
 // ============================================
 
-function animate() {
-    drawPlinko();
+let lastFrameTime = null;
+
+function animate(timestamp) {
+    // Fixed-step physics: the frame rate only changes how smoothly balls
+    // are drawn, never where they land
+    const elapsed = lastFrameTime === null ? 0 : timestamp - lastFrameTime;
+    lastFrameTime = timestamp;
+    const alpha = engine.advance(elapsed);
     
-    // Update and draw balls
-    for (let ball of balls) {
-        ball.update();
-        ball.draw();
+    // Clear canvas
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    ctx.setTransform(boardScale, 0, 0, boardScale, boardOffsetX, boardOffsetY);
+    
+    // A round replay takes the board over (ui/replay-panel.js)
+    if (replay) {
+        drawReplay(elapsed);
+        requestAnimationFrame(animate);
+        return;
     }
     
-    // Remove landed balls after delay
-    balls = balls.filter(ball => !ball.landed || Date.now() - ball.landTime < 500);
+    drawPlinko();
+    
+    // Draw balls
+    for (let ball of engine.balls) {
+        drawBall(ball, alpha);
+    }
     
     requestAnimationFrame(animate);
 }
 
-function drawPlinko() {
-    // Clear canvas
-    ctx.fillStyle = '#1a1a2e';
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+const POCKET_HIGHLIGHTS = {
+    BONUS: 'rgba(233, 69, 96, 0.2)',
+    MULTIPLIER: 'rgba(168, 85, 247, 0.2)',
+    CASH: 'rgba(255, 215, 0, 0.15)',
+    COLLECT: 'rgba(255, 215, 0, 0.25)'
+};
+
+// Okabe-Ito colours: BONUS stands out as orange against blue, not red
+// against green (ui/accessibility.js)
+const COLOUR_BLIND_POCKET_HIGHLIGHTS = {
+    ...POCKET_HIGHLIGHTS,
+    BONUS: 'rgba(230, 159, 0, 0.35)',
+    MULTIPLIER: 'rgba(204, 121, 167, 0.25)'
+};
+
+// pockets and modifiers default to the live game's; a replay passes the
+// ones its round was played with
+function drawPlinko(pockets = engine.pockets, modifiers = gameState.modifiers) {
+    const { height, pegs, pocketZones } = engine.board;
     
     // Draw pegs
     for (let peg of pegs) {
@@ -335,190 +364,226 @@ function drawPlinko() {
     ctx.lineWidth = 2;
     for (let i = 1; i < pocketZones.length; i++) {
         ctx.beginPath();
-        ctx.moveTo(pocketZones[i].x, canvasHeight - 40);
-        ctx.lineTo(pocketZones[i].x, canvasHeight);
+        ctx.moveTo(pocketZones[i].x, height - 40);
+        ctx.lineTo(pocketZones[i].x, height);
         ctx.stroke();
     }
     
-    // Draw pocket highlights for bonus
+    // Draw pocket highlights for bonus and the other special pockets
+    const highlights = colourBlindPalette() ? COLOUR_BLIND_POCKET_HIGHLIGHTS : POCKET_HIGHLIGHTS;
     for (let i = 0; i < pocketZones.length; i++) {
-        if (PLINKO_CONFIG.pockets[i].type === 'BONUS') {
-            ctx.fillStyle = 'rgba(233, 69, 96, 0.2)';
-            ctx.fillRect(pocketZones[i].x, canvasHeight - 40, pocketZones[i].width, 40);
+        const highlight = highlights[pockets[i].type];
+        if (highlight) {
+            ctx.fillStyle = highlight;
+            ctx.fillRect(pocketZones[i].x, height - 40, pocketZones[i].width, 40);
         }
     }
 
-    // Draw wall blockers (angled to guide toward edges)
-    if (gameState.modifiers.leftWall) {
-        const wallX = canvasWidth * 0.4;
-        ctx.strokeStyle = '#4ecca3';
-        ctx.lineWidth = 8;
-        ctx.shadowBlur = 20;
-        ctx.shadowColor = '#4ecca3';
-        ctx.beginPath();
-        ctx.moveTo(wallX + 10, 100);
-        ctx.lineTo(wallX - 50, canvasHeight - 60);
-        ctx.stroke();
-        ctx.shadowBlur = 0;
-        
-        // Arrow indicators pointing left
-        ctx.fillStyle = '#4ecca3';
-        ctx.font = 'bold 28px Arial';
-        ctx.fillText('◄', wallX - 60, canvasHeight / 2 - 20);
-        ctx.fillText('◄', wallX - 45, canvasHeight / 2 + 20);
-    }
-    if (gameState.modifiers.rightWall) {
-        const wallX = canvasWidth * 0.6;
-        ctx.strokeStyle = '#4ecca3';
-        ctx.lineWidth = 8;
-        ctx.shadowBlur = 20;
-        ctx.shadowColor = '#4ecca3';
-        ctx.beginPath();
-        ctx.moveTo(wallX - 10, 100);
-        ctx.lineTo(wallX + 50, canvasHeight - 60);
-        ctx.stroke();
-        ctx.shadowBlur = 0;
-        
-        // Arrow indicators pointing right
-        ctx.fillStyle = '#4ecca3';
-        ctx.font = 'bold 28px Arial';
-        ctx.fillText('►', wallX + 30, canvasHeight / 2 - 20);
-        ctx.fillText('►', wallX + 45, canvasHeight / 2 + 20);
+    // Draw the obstacles in play (modifier walls guide toward the edges)
+    for (let obstacle of activeObstacles(engine.board, modifiers)) {
+        if (obstacle.type === 'wall') drawWall(obstacle);
     }
 }
 
+function drawWall(wall) {
+    ctx.strokeStyle = '#4ecca3';
+    ctx.lineWidth = wall.thickness;
+    ctx.shadowBlur = motionReduced() ? 0 : 20;
+    ctx.shadowColor = '#4ecca3';
+    ctx.beginPath();
+    ctx.moveTo(wall.x1, wall.y1);
+    ctx.lineTo(wall.x2, wall.y2);
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+    
+    // Arrow indicators pointing the way the wall slopes down
+    const [top, bottom] = wall.y1 < wall.y2 ? [wall.x1, wall.x2] : [wall.x2, wall.x1];
+    const direction = bottom < top ? -1 : 1;
+    const midX = (wall.x1 + wall.x2) / 2;
+    const midY = (wall.y1 + wall.y2) / 2;
+    ctx.fillStyle = '#4ecca3';
+    ctx.font = 'bold 28px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(direction < 0 ? '◄' : '►', midX + direction * 45, midY - 40);
+    ctx.fillText(direction < 0 ? '◄' : '►', midX + direction * 30, midY);
+    ctx.textAlign = 'start';
+}
+
 // ============================================
-// PLINKO LOGIC
+// PLINKO PRESENTATION
 // ============================================
 
+// Picks the presentation back up when a reload cut a turn off (see
+// RoundLogger#resume): a drop is played again, a reel session carries on,
+// a round that cannot be carried on was refunded
+function resumeTurn(resumed) {
+    if (resumed === 'refunded') {
+        updateStatus(t('status.resumeRefunded'));
+    } else if (resumed === 'drop') {
+        updateStatus(t('status.resumeDrop'));
+        setControlsLocked(true);
+    } else if (resumed === 'spins') {
+        updateStatus(t('status.resumeSpins', { count: gameState.spinsRemaining }));
+        setControlsLocked(true);
+        if (gameState.inBonus) {
+            showBonusBanner(gameState.sessionMultiplier);
+        }
+        document.getElementById('spinsRemaining').style.display = 'block';
+        document.getElementById('spinsCount').textContent = gameState.spinsRemaining;
+        document.getElementById('spinsMultiplier').textContent = gameState.sessionMultiplier > 1 ? `${gameState.sessionMultiplier}x` : '';
+        setTimeout(triggerReels, presentationDelay(1000));
+    }
+}
+
+// Returns whether a drop started; responsible-gambling checks come first
 function dropBall() {
-    if (gameState.isDropping || gameState.isSpinning) return;
-    if (gameState.balance < gameState.currentBet) {
-        updateStatus('Insufficient balance!');
-        return;
+    const refusal = protection.checkDrop(gameState.currentBet);
+    if (refusal) {
+        showProtectionRefusal(refusal);
+        return false;
     }
+    if (!engine.drop()) return false;
     
-    // Deduct bet
-    gameState.balance -= gameState.currentBet;
     updateUI();
     
-    gameState.isDropping = true;
-    
     // Determine number of balls
-    const numBalls = gameState.modifiers.extraBalls + 1;
+    const numBalls = engine.balls.length;
     if (numBalls > 1) {
-        updateStatus(`Dropping ${numBalls} BALLS! 🎱`);
+        updateStatus(t('status.droppingBalls', { count: numBalls }));
     } else {
-        updateStatus('Ball dropping...');
+        updateStatus(t('status.dropping'));
     }
     
-    // Create balls at top center with spacing
-    for (let i = 0; i < numBalls; i++) {
-        const startX = canvasWidth / 2 + (i - (numBalls - 1) / 2) * 40;
-        const ball = new Ball(startX, 20 + i * 20);
-        balls.push(ball);
+    // Disable drop button and risk
+    setControlsLocked(true);
+    return true;
+}
+
+function showBallLanded({ ball, pocket, ballsRemaining }) {
+    if (ballsRemaining > 0) {
+        updateStatus(`${t('ball.pocket', { ball: ball + 1, pocket: pocketName(pocket) })} • ${t('status.stillFalling', { count: ballsRemaining })}`);
     }
-    
-    // Reset multi-ball modifier after use
-    gameState.modifiers.extraBalls = 0;
-    
-    // Disable drop button
-    document.getElementById('dropButton').disabled = true;
 }
 
-function resolvePocket(pocketIndex) {
-    const pocket = PLINKO_CONFIG.pockets[pocketIndex];
-    
-    // Clear walls after ball lands (they were used this turn)
-    gameState.modifiers.leftWall = false;
-    gameState.modifiers.rightWall = false;
-    
+function resolveTurn({ awards, spinsRemaining, bonus, multiplier, cashWin }) {
     setTimeout(() => {
-        if (pocket.type === 'BONUS') {
-            updateStatus(`🎰 BONUS TRIGGERED! 🎰`);
-            gameState.inBonus = true;
-            gameState.spinsRemaining = 5; // Give 5 bonus spins
-            document.getElementById('bonusBanner').style.display = 'block';
-        } else if (pocket.award > 0) {
-            updateStatus(`Awarded ${pocket.award} spin${pocket.award > 1 ? 's' : ''}!`);
-            gameState.spinsRemaining = pocket.award;
-        } else {
-            updateStatus('No award this time.');
+        if (awards.length > 1) {
+            showBallSummary(awards);
         }
         
-        gameState.isDropping = false;
+        // Cash and collect pockets are already paid into the balance
+        const cash = cashWin > 0 ? `${describeCash(awards)} • ` : '';
+        if (bonus) {
+            updateStatus(cash + t('status.bonusTriggered'));
+            showBonusBanner(multiplier);
+        } else if (spinsRemaining > 0) {
+            updateStatus(cash + describeSpinsAward(spinsRemaining, multiplier) + '!');
+        } else if (cashWin > 0) {
+            updateStatus(`${describeCash(awards)}!`);
+        } else {
+            updateStatus(t('status.noAward'));
+        }
+        updateUI();
         
-        // Show spins remaining
-        if (gameState.spinsRemaining > 0) {
+        // Show spins remaining and the multiplier they play at
+        if (spinsRemaining > 0) {
             document.getElementById('spinsRemaining').style.display = 'block';
-            document.getElementById('spinsCount').textContent = gameState.spinsRemaining;
+            document.getElementById('spinsCount').textContent = spinsRemaining;
+            document.getElementById('spinsMultiplier').textContent = multiplier > 1 ? `${multiplier}x` : '';
             
             // Start spinning reels
             setTimeout(() => {
                 triggerReels();
-            }, 1000);
+            }, presentationDelay(1000));
         } else {
             // No spins awarded, allow next drop
-            setTimeout(() => {
-                updateStatus('Press DROP BALL to continue!');
-                document.getElementById('dropButton').disabled = false;
-            }, 2000);
+            setTimeout(finishTurn, presentationDelay(2000));
         }
-    }, 500);
+    }, presentationDelay(500));
 }
 
 // ============================================
-// REELS LOGIC
+// REELS PRESENTATION
 // ============================================
 
+// Strip index shown in the top row of each reel
+const reelPositions = [0, 0, 0, 0, 0];
+const REEL_SPIN_DURATION = 1200; // first reel
+const REEL_STOP_STAGGER = 200;   // each further reel turns this much longer
+const REDUCED_MOTION_REEL_STOP = 150; // reduced motion: reels settle this far apart, without scrolling
+
 function triggerReels() {
     if (gameState.spinsRemaining <= 0) {
         endReelSession();
         return;
     }
     
-    gameState.isSpinning = true;
-    updateStatus('Spinning reels...');
+    updateStatus(t('status.spinning'));
+    document.getElementById('winDisplay').style.display = 'none';
     
-    spinReels();
+    // The outcome is decided up front; spinReels animates to its stops
+    engine.spin();
 }
 
-function spinReels() {
+// onStopped gets the result once the last reel has stopped
+function spinReels(result, onStopped = stopReels) {
     const reelElements = document.querySelectorAll('.reel');
-    const spinDuration = 2000;
-    const symbolArray = Object.values(SYMBOLS);
+    const strips = config.reelStrips[result.stripSet];
+    let reelsStopped = 0;
+    startReelLoop();
     
-    // Add spinning class
     reelElements.forEach((reel, reelIndex) => {
+        const strip = strips[reelIndex];
         const symbols = reel.querySelectorAll('.symbol');
-        symbols.forEach(symbol => {
-            symbol.classList.add('spinning');
-            
-            // Rapid symbol changes during spin
-            const interval = setInterval(() => {
-                symbol.textContent = symbolArray[Math.floor(Math.random() * symbolArray.length)];
-            }, 100);
+        const stopReel = () => {
+            symbols.forEach(symbol => symbol.classList.remove('spinning'));
+            playReelStop(reelIndex);
             
+            reelsStopped++;
+            if (reelsStopped === reelElements.length) {
+                stopReelLoop();
+                onStopped(result);
+            }
+        };
+        
+        if (motionReduced()) {
             setTimeout(() => {
+                reelPositions[reelIndex] = result.stops[reelIndex];
+                showReelWindow(symbols, strip, reelPositions[reelIndex]);
+                stopReel();
+            }, presentationDelay(REDUCED_MOTION_REEL_STOP * (reelIndex + 1)));
+            return;
+        }
+        symbols.forEach(symbol => symbol.classList.add('spinning'));
+        
+        // Scroll down through the real strip: a few full turns, then on to the stop
+        const start = reelPositions[reelIndex] % strip.length;
+        const distance = (start - result.stops[reelIndex] + strip.length) % strip.length;
+        const steps = (2 + reelIndex) * strip.length + distance;
+        const stepTime = presentationDelay(REEL_SPIN_DURATION + reelIndex * REEL_STOP_STAGGER) / steps;
+        let step = 0;
+        
+        const interval = setInterval(() => {
+            step++;
+            reelPositions[reelIndex] = ((start - step) % strip.length + strip.length) % strip.length;
+            showReelWindow(symbols, strip, reelPositions[reelIndex]);
+            
+            if (step === steps) {
                 clearInterval(interval);
-                symbol.classList.remove('spinning');
-            }, spinDuration);
-        });
+                stopReel();
+            }
+        }, stepTime);
     });
-    
-    // Stop and evaluate
-    setTimeout(() => {
-        stopReels();
-    }, spinDuration);
 }
 
-function stopReels() {
-    // Generate final reel positions
-    const reelResults = [];
-    for (let reel = 0; reel < 5; reel++) {
-        const reelStrip = generateWeightedReelStrip();
-        reelResults.push([reelStrip[0], reelStrip[1], reelStrip[2]]);
-    }
+function showReelWindow(symbols, strip, position) {
+    symbols.forEach((symbol, rowIndex) => {
+        symbol.textContent = strip[(position + rowIndex) % strip.length];
+    });
+}
+
+function stopReels(result) {
+    const { reelResults } = result;
     
     // Display results
     const reelElements = document.querySelectorAll('.reel');
@@ -528,112 +593,45 @@ function stopReels() {
             symbol.textContent = reelResults[reelIndex][rowIndex];
         });
     });
+    announce(describeGrid(reelResults));
     
-    // Evaluate paylines
-    setTimeout(() => {
-        evaluatePaylines(reelResults);
-    }, 500);
-}
-
-function generateWeightedReelStrip() {
-    const strip = [];
-    const symbolArray = [];
-    
-    // Build weighted array
-    for (let symbol in SYMBOL_WEIGHTS) {
-        for (let i = 0; i < SYMBOL_WEIGHTS[symbol]; i++) {
-            symbolArray.push(symbol);
-        }
-    }
-    
-    // Pick random symbols
-    for (let i = 0; i < 3; i++) {
-        strip.push(symbolArray[Math.floor(Math.random() * symbolArray.length)]);
+    // Announce Plinko modifiers earned on this spin
+    for (let name of result.modifiers) {
+        showModifierAlert(t(`modifier.alert.${name}`));
     }
     
-    return strip;
+    // Evaluate paylines
+    setTimeout(() => {
+        evaluatePaylines(result);
+    }, presentationDelay(500));
 }
 
-function evaluatePaylines(reelResults) {
-    let totalWin = 0;
-    const winningPositions = new Set();
+function evaluatePaylines(result) {
+    const { winAmount, scatterWin } = result;
     
-    for (let payline of PAYLINES) {
-        const symbols = payline.map((row, reel) => reelResults[reel][row]);
-        const win = checkPayline(symbols);
-        
-        if (win.amount > 0) {
-            totalWin += win.amount;
-            // Mark winning positions
-            for (let i = 0; i < win.count; i++) {
-                winningPositions.add(`${i}-${payline[i]}`);
-            }
-        }
-    }
-    
-    // Apply bonus multiplier
-    if (gameState.inBonus) {
-        totalWin *= 2;
+    // Scatter spins are already counted in spinsRemaining
+    if (scatterWin.spins > 0) {
+        showModifierAlert(t(scatterWin.retrigger ? 'alert.retrigger' : 'alert.scatter', { count: scatterWin.spins }));
     }
     
-    // Check for Plinko modifiers from reel results
-    checkForModifiers(reelResults);
-    
-    // Show win
-    if (totalWin > 0) {
-        const winAmount = totalWin * gameState.currentBet;
-        gameState.balance += winAmount;
-        
-        // Highlight winning symbols
-        highlightWinningSymbols(winningPositions);
-        
-        updateStatus(`WIN! £${winAmount.toFixed(2)}`);
-        document.getElementById('winDisplay').style.display = 'block';
-        document.getElementById('winAmount').textContent = winAmount.toFixed(2);
-        
-        setTimeout(() => {
-            document.getElementById('winDisplay').style.display = 'none';
-            continueReelSession();
-        }, 2000);
+    // Line by line, then the total (ui/win-presentation.js)
+    if (winAmount > 0) {
+        updateStatus(t('status.win', { amount: formatMoney(winAmount) }));
+        presentWin(result, continueReelSession);
     } else {
-        updateStatus('No win. Next spin...');
+        updateStatus(t('status.noWin'));
+        announce(t('announce.noWin'));
         setTimeout(() => {
             continueReelSession();
-        }, 1500);
+        }, presentationDelay(1500));
     }
     
     updateUI();
 }
 
-function checkPayline(symbols) {
-    // Replace wildcards
-    const firstNonWild = symbols.find(s => s !== SYMBOLS.WILD);
-    if (!firstNonWild) {
-        // All wilds
-        return { amount: PAYTABLE[SYMBOLS.WILD][2], count: 5 };
-    }
-    
-    let count = 0;
-    for (let symbol of symbols) {
-        if (symbol === firstNonWild || symbol === SYMBOLS.WILD) {
-            count++;
-        } else {
-            break;
-        }
-    }
-    
-    if (count >= 3) {
-        const payIndex = count - 3; // 3=0, 4=1, 5=2
-        const payout = PAYTABLE[firstNonWild][payIndex];
-        return { amount: payout, count };
-    }
-    
-    return { amount: 0, count: 0 };
-}
-
-function highlightWinningSymbols(positions) {
+function highlightWinningSymbols(positions, scatterPositions = []) {
     // Clear previous highlights
-    document.querySelectorAll('.symbol').forEach(s => s.classList.remove('winning'));
+    document.querySelectorAll('.symbol').forEach(s => s.classList.remove('winning', 'scatter'));
     
     // Add winning class
     positions.forEach(pos => {
@@ -641,36 +639,51 @@ function highlightWinningSymbols(positions) {
         const reelElement = document.querySelector(`.reel[data-reel="${reel}"]`);
         const symbolElement = reelElement.querySelector(`.symbol[data-row="${row}"]`);
         symbolElement.classList.add('winning');
+        if (scatterPositions.includes(pos)) {
+            symbolElement.classList.add('scatter');
+        }
     });
 }
 
-function checkForModifiers(reelResults) {
-    // Check middle row for special combinations
-    const middleRow = reelResults.map(reel => reel[1]);
-    
-    // 💎💎💎 = Left wall blocker
-    if (middleRow.filter(s => s === SYMBOLS.MID_A).length >= 3) {
-        gameState.modifiers.leftWall = true;
-        showModifierAlert('💎 LEFT WALL ACTIVE! Guides toward LEFT BONUS!');
+// Line (or ways) and scatter parts of a spin's win at the bet it was
+// played at, e.g. "Lines £0.40 • 🔔x3 £0.20"
+function describeWin({ lineWins, scatterWin, multiplier, bet }) {
+    const parts = [];
+    const lineTotal = lineWins.reduce((sum, line) => sum + line.amount, 0);
+    if (lineTotal > 0) {
+        const amount = formatMoney(lineTotal * multiplier * bet);
+        parts.push(t(config.evaluation === 'ways' ? 'win.ways' : 'win.lines', { amount }));
     }
-    
-    // ⭐⭐⭐ = Right wall blocker
-    if (middleRow.filter(s => s === SYMBOLS.MID_B).length >= 3) {
-        gameState.modifiers.rightWall = true;
-        showModifierAlert('⭐ RIGHT WALL ACTIVE! Guides toward RIGHT BONUS!');
-    }
-    
-    // 🎰🎰🎰 = 3 balls next drop
-    if (middleRow.filter(s => s === SYMBOLS.WILD).length >= 3) {
-        gameState.modifiers.extraBalls = 2;
-        showModifierAlert('🎰 TRIPLE BALL DROP UNLOCKED! 3 balls next turn!');
-    }
-    
-    // 👑👑👑 = 2 balls next drop
-    if (middleRow.filter(s => s === SYMBOLS.HIGH).length >= 3) {
-        gameState.modifiers.extraBalls = Math.max(gameState.modifiers.extraBalls, 1);
-        showModifierAlert('👑 DOUBLE BALL DROP UNLOCKED! 2 balls next turn!');
+    if (scatterWin.amount > 0) {
+        parts.push(`${config.scatter.symbol}x${scatterWin.count} ${formatMoney(scatterWin.amount * multiplier * bet)}`);
     }
+    return parts.join(' • ');
+}
+
+// What the cash and collect pockets of a turn paid
+function describeCash(awards) {
+    return awards
+        .filter(award => award.cash > 0)
+        .map(award => t(award.pocket.type === 'COLLECT' ? 'award.collected' : 'award.cash', { amount: formatMoney(award.cash) }))
+        .join(' • ');
+}
+
+// "Awarded 3 spins at 2x"
+function describeSpinsAward(count, multiplier) {
+    return multiplier > 1
+        ? t('award.spinsAt', { count, multiplier: formatNumber(multiplier) })
+        : t('award.spins', { count });
+}
+
+// Per-ball breakdown of a multi-ball turn, shown like a modifier alert
+function showBallSummary(awards) {
+    const lines = awards
+        .slice()
+        .sort((a, b) => a.ball - b.ball)
+        .map(award => t('ball.pocket', { ball: award.ball + 1, pocket: pocketName(award.pocket) }) +
+            (award.spins > 0 ? ` (+${award.spins})` : '') +
+            (award.cash > 0 ? ` (${formatMoney(award.cash)})` : ''));
+    showModifierAlert(`🎱 ${lines.join(' • ')}`);
 }
 
 function showModifierAlert(message) {
@@ -678,6 +691,7 @@ function showModifierAlert(message) {
     alert.className = 'modifier-alert';
     alert.textContent = message;
     document.body.appendChild(alert);
+    announce(message);
     
     setTimeout(() => {
         alert.classList.add('show');
@@ -690,40 +704,110 @@ function showModifierAlert(message) {
 }
 
 function continueReelSession() {
-    gameState.spinsRemaining--;
     document.getElementById('spinsCount').textContent = gameState.spinsRemaining;
     
     if (gameState.spinsRemaining > 0) {
         setTimeout(() => {
             triggerReels();
-        }, 1000);
+        }, presentationDelay(1000));
     } else {
         endReelSession();
     }
 }
 
+function showBonusBanner(multiplier) {
+    const banner = document.getElementById('bonusBanner');
+    banner.textContent = t('reels.bonusBanner', { multiplier: formatNumber(multiplier) });
+    banner.style.display = 'block';
+}
+
 function endReelSession() {
-    gameState.isSpinning = false;
-    gameState.inBonus = false;
-    
     // Hide bonus banner and spins display
     document.getElementById('bonusBanner').style.display = 'none';
     document.getElementById('spinsRemaining').style.display = 'none';
+    document.getElementById('winDisplay').style.display = 'none';
     
     // Clear winning highlights
-    document.querySelectorAll('.symbol').forEach(s => s.classList.remove('winning'));
+    document.querySelectorAll('.symbol').forEach(s => s.classList.remove('winning', 'scatter'));
     
-    updateStatus('Press DROP BALL to continue!');
-    document.getElementById('dropButton').disabled = false;
+    finishTurn();
 }
 
 // ============================================
 // UI UPDATES
 // ============================================
 
+// Everything below is built from the game config so variants need no
+// HTML edits
+// pockets defaults to the live risk level's; a replay shows its round's
+function renderPocketLabels(pockets = engine.pockets) {
+    const container = document.getElementById('pocketLabels');
+    container.innerHTML = '';
+    
+    for (let pocket of pockets) {
+        const label = document.createElement('div');
+        label.className = pocket.type === 'SPINS' ? 'pocket-label' : `pocket-label ${pocket.type.toLowerCase()}`;
+        label.textContent = pocketName(pocket);
+        container.appendChild(label);
+    }
+    if (pockets === engine.pockets) updateCollectLabels();
+}
+
+// Collect pockets show the pot they would pay now
+function updateCollectLabels() {
+    const labels = document.getElementById('pocketLabels').children;
+    engine.pockets.forEach((pocket, i) => {
+        if (pocket.type === 'COLLECT' && labels[i]) {
+            labels[i].textContent = `${pocketName(pocket)} ${formatMoney(Math.round(gameState.collectPot * gameState.currentBet))}`;
+        }
+    });
+}
+
+function renderPaytable() {
+    const table = document.getElementById('paytableTable');
+    table.innerHTML = '<tr><th></th><th>3</th><th>4</th><th>5</th></tr>';
+    
+    for (let symbol in config.paytable) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td class="paytable-symbol">${symbol}</td>` +
+            config.paytable[symbol].map(pay => `<td>${formatNumber(pay)}x</td>`).join('');
+        table.appendChild(row);
+    }
+    
+    if (config.evaluation === 'ways') {
+        const note = document.createElement('tr');
+        note.innerHTML = '<td colspan="4" class="paytable-note"></td>';
+        note.firstChild.textContent = t('paytable.waysNote');
+        table.appendChild(note);
+    }
+    
+    if (config.scatter) {
+        const row = document.createElement('tr');
+        row.className = 'paytable-scatter';
+        row.innerHTML = `<td class="paytable-symbol">${config.scatter.symbol}</td>` +
+            config.scatter.pays.map((pay, i) => `<td>${formatNumber(pay)}x +${config.scatter.spins[i]}</td>`).join('');
+        table.appendChild(row);
+        
+        const note = document.createElement('tr');
+        note.innerHTML = '<td colspan="4" class="paytable-note"></td>';
+        note.firstChild.textContent = t('paytable.scatterNote', { symbol: config.scatter.symbol });
+        table.appendChild(note);
+    }
+}
+
+function renderGameInfo() {
+    const rtp = formatNumber(Math.round(config.advertisedRtp * 1000) / 10);
+    const reels = config.reelStrips.base.length;
+    const evaluation = config.evaluation === 'ways'
+        ? t('info.ways', { count: Math.pow(3, reels) })
+        : t('info.paylines', { count: config.paylines.length });
+    document.getElementById('gameInfo').textContent = `${evaluation} • ${t('info.rtp', { rtp })}`;
+}
+
 function updateUI() {
-    document.getElementById('balance').textContent = gameState.balance.toFixed(2);
+    document.getElementById('balance').textContent = formatMoney(gameState.balance);
     updateModifierDisplay();
+    updateCollectLabels();
 }
 
 function updateModifierDisplay() {
@@ -733,26 +817,30 @@ function updateModifierDisplay() {
     if (gameState.modifiers.leftWall) {
         const badge = document.createElement('div');
         badge.className = 'modifier-badge';
-        badge.innerHTML = '💎 LEFT WALL';
+        badge.textContent = t('modifier.badge.leftWall');
         container.appendChild(badge);
     }
     
     if (gameState.modifiers.rightWall) {
         const badge = document.createElement('div');
         badge.className = 'modifier-badge';
-        badge.innerHTML = '⭐ RIGHT WALL';
+        badge.textContent = t('modifier.badge.rightWall');
         container.appendChild(badge);
     }
     
     if (gameState.modifiers.extraBalls > 0) {
         const badge = document.createElement('div');
         badge.className = 'modifier-badge extra-balls';
-        const balls = gameState.modifiers.extraBalls === 1 ? '2 BALLS' : '3 BALLS';
-        badge.innerHTML = `🎱 ${balls}`;
+        badge.textContent = t('modifier.badge.extraBalls', { count: gameState.modifiers.extraBalls + 1 });
         container.appendChild(badge);
     }
 }
 
+// Amounts are whole minor units of the currency in play (see ui/i18n.js)
+function formatMoney(amount) {
+    return locale.currency.format.format(fromMinorUnits(amount));
+}
+
 function updateStatus(message) {
     document.getElementById('statusMessage').textContent = message;
 }
@@ -0,0 +1,146 @@
+/*
+ENGINE TESTS
+
+Seeded rounds play out the same every time, replay to the same record,
+and a session saved mid-round picks up where it stopped.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, replayRound } = require('../engine/engine.js');
+const { LocalWallet } = require('../engine/wallet.js');
+
+// Plays rounds until one leaves a reel session to spin, stopping before
+// its first spin. Returns the engine.
+function engineWithSpinsToPlay(seed) {
+    const engine = new GameEngine({ seed, balance: 1000000 });
+    for (let i = 0; i < 1000; i++) {
+        engine.drop();
+        while (engine.state.isDropping) engine.update();
+        if (engine.state.spinsRemaining > 0) return engine;
+    }
+    throw new Error('No round awarded spins');
+}
+
+function playOut(engine) {
+    while (engine.state.isDropping) engine.update();
+    const stops = [];
+    while (engine.state.spinsRemaining > 0) {
+        stops.push(engine.spin().stops);
+    }
+    return stops;
+}
+
+// Snapshots go through storage as JSON
+function saved(engine) {
+    return JSON.parse(JSON.stringify(engine.snapshot()));
+}
+
+// A Web Storage stand-in, copied as it stood when the page closed
+function memoryStorage(items = {}) {
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; },
+        copy() { return memoryStorage(Object.assign({}, items)); }
+    };
+}
+
+test('rounds on the same seed play out the same', () => {
+    const play = () => {
+        const engine = new GameEngine({ seed: 42, balance: 100000 });
+        const rounds = [];
+        for (let i = 0; i < 50; i++) {
+            engine.playRound();
+            rounds.push({ pockets: engine.round.pockets, spins: engine.round.spins.length, win: engine.round.win });
+        }
+        return { rounds, balance: engine.state.balance };
+    };
+
+    assert.deepEqual(play(), play());
+});
+
+test('a recorded round replays to the same pockets and win', () => {
+    const engine = new GameEngine({ seed: 7, balance: 100000 });
+    for (let i = 0; i < 20; i++) {
+        engine.playRound();
+        const record = JSON.parse(JSON.stringify(engine.round));
+        const replay = replayRound(record);
+        assert.deepEqual(replay.pockets, engine.round.pockets);
+        assert.equal(replay.win, engine.round.win);
+    }
+});
+
+test('the balance moves by exactly the bets and wins', () => {
+    const engine = new GameEngine({ seed: 3, balance: 100000, bet: 20 });
+    let expected = 100000;
+    for (let i = 0; i < 30; i++) {
+        engine.playRound();
+        expected += engine.round.win - 20;
+        assert.equal(engine.state.balance, expected);
+        assert.equal(engine.wallet.balance, expected);
+    }
+});
+
+test('a drop cut off mid-fall lands in the same pockets after resuming, for one bet', () => {
+    const storage = memoryStorage();
+    const original = new GameEngine({ seed: 11, wallet: new LocalWallet({ balance: 1000, storage }) });
+    original.drop();
+    for (let i = 0; i < 20; i++) original.update();
+    const snapshot = saved(original);
+    const reloaded = storage.copy();
+    const balanceAfterBet = original.wallet.balance;
+    playOut(original);
+
+    const wallet = new LocalWallet({ storage: reloaded });
+    const resumed = new GameEngine({ wallet });
+    assert.equal(resumed.resume(snapshot), 'drop');
+    assert.equal(resumed.round.id, snapshot.round.id);
+    playOut(resumed);
+
+    assert.deepEqual(resumed.round.pockets, original.round.pockets);
+    assert.equal(resumed.round.win, original.round.win);
+    assert.equal(wallet.balance, balanceAfterBet + original.round.win);
+});
+
+test('a reel session cut off between spins carries on with the same spins', () => {
+    const original = engineWithSpinsToPlay(5);
+    const snapshot = saved(original);
+    const stops = playOut(original);
+
+    const resumed = new GameEngine({ wallet: new LocalWallet({ balance: 1000000 }) });
+    assert.equal(resumed.resume(snapshot), 'spins');
+    assert.deepEqual(playOut(resumed), stops);
+});
+
+test('a round cut off on another config version is refunded', () => {
+    const original = new GameEngine({ seed: 13, balance: 1000, bet: 20 });
+    original.drop();
+    const snapshot = saved(original);
+    snapshot.configVersion = 'older';
+
+    const resumed = new GameEngine({ wallet: original.wallet });
+    assert.equal(resumed.resume(snapshot), 'refunded');
+    assert.equal(resumed.state.balance, 1000);
+    assert.equal(resumed.state.isDropping, false);
+});
+
+test('a credit the wallet refuses waits as unpaid and is paid before the next drop', () => {
+    const wallet = new LocalWallet({ balance: 100000 });
+    const credit = wallet.credit.bind(wallet);
+    let walletDown = true;
+    wallet.credit = request => walletDown ? { ok: false, error: 'timeout' } : credit(request);
+
+    const engine = new GameEngine({ seed: 3, wallet });
+    const failures = [];
+    engine.on('creditFailed', failure => failures.push(failure));
+    while (failures.length === 0) engine.playRound();
+    const unpaid = engine.round.unpaid.reduce((sum, { amount }) => sum + amount, 0);
+    const balance = wallet.balance;
+
+    assert.equal(engine.drop(), false);
+    walletDown = false;
+    assert.equal(engine.drop(), true);
+    assert.equal(wallet.balance, balance + unpaid - engine.round.bet);
+});
@@ -0,0 +1,90 @@
+/*
+PROVABLY FAIR TESTS
+
+The hashes match their published test vectors, a fair drop verifies
+against its revealed server seed, and a fair drop cut off by a reload is
+played again on its committed RNG.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine } = require('../engine/engine.js');
+const { LocalWallet } = require('../engine/wallet.js');
+const { sha256Hex, hmacSha256, toHex, FairRng, verifyRound } = require('../engine/fair.js');
+const { FairServer } = require('../engine/fair-server.js');
+
+test('SHA-256 and HMAC-SHA256 match the published test vectors', () => {
+    assert.equal(sha256Hex(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    assert.equal(sha256Hex('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.equal(
+        sha256Hex('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'),
+        '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+    );
+    // RFC 4231 test case 2
+    assert.equal(
+        toHex(hmacSha256('Jefe', 'what do ya want for nothing?')),
+        '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+    );
+});
+
+test('a FairRng draws the same stream from the same seeds', () => {
+    const draws = rng => Array.from({ length: 20 }, () => rng.next());
+    const a = draws(new FairRng('server', 'client', 3));
+    assert.deepEqual(a, draws(new FairRng('server', 'client', 3)));
+    assert.notDeepEqual(a, draws(new FairRng('server', 'client', 4)));
+    assert.ok(a.every(value => value >= 0 && value < 1));
+});
+
+test('a fair drop verifies against its revealed server seed', () => {
+    const server = new FairServer();
+    const engine = new GameEngine({ balance: 100000, roundRng: () => server.nextRng('player seed') });
+    const rounds = [];
+    for (let i = 0; i < 10; i++) {
+        engine.playRound();
+        rounds.push(JSON.parse(JSON.stringify(engine.round)));
+    }
+    const { serverSeed, serverSeedHash } = server.rotate();
+
+    rounds.forEach((round, nonce) => {
+        assert.deepEqual(round.fair, { serverSeedHash, clientSeed: 'player seed', nonce });
+        const verified = verifyRound(round, serverSeed);
+        assert.equal(verified.hashMatches, true);
+        assert.deepEqual(verified.pockets, round.pockets);
+        assert.equal(verified.win, round.win);
+    });
+    assert.equal(verifyRound(rounds[0], 'not the seed').hashMatches, false);
+});
+
+test('a fair drop cut off by a reload lands where it would have, on the same nonce', () => {
+    const items = {};
+    const storage = { getItem: key => (key in items ? items[key] : null), setItem: (key, value) => { items[key] = value; } };
+    const server = new FairServer({ storage });
+    const original = new GameEngine({ balance: 1000, roundRng: () => server.nextRng('player seed') });
+    original.drop();
+    const snapshot = JSON.parse(JSON.stringify(original.snapshot()));
+    while (original.state.isDropping) original.update();
+
+    const reloadedServer = new FairServer({ storage });
+    const resumed = new GameEngine({
+        wallet: original.wallet,
+        fairRng: commitment => reloadedServer.rngFor(commitment)
+    });
+    assert.equal(resumed.resume(snapshot), 'drop');
+    while (resumed.state.isDropping) resumed.update();
+
+    assert.deepEqual(resumed.round.fair, original.round.fair);
+    assert.deepEqual(resumed.round.pockets, original.round.pockets);
+    assert.equal(reloadedServer.nonce, 1);
+});
+
+test('a fair drop whose RNG cannot be rebuilt is refunded, not drawn again', () => {
+    const server = new FairServer();
+    const wallet = new LocalWallet({ balance: 1000 });
+    const original = new GameEngine({ wallet, bet: 20, roundRng: () => server.nextRng('player seed') });
+    original.drop();
+    const snapshot = JSON.parse(JSON.stringify(original.snapshot()));
+
+    const resumed = new GameEngine({ wallet, fairRng: commitment => new FairServer().rngFor(commitment) });
+    assert.equal(resumed.resume(snapshot), 'refunded');
+    assert.equal(wallet.balance, 1000);
+});
@@ -0,0 +1,74 @@
+/*
+WALLET TESTS
+
+Every transaction runs once per idempotency key, on the local wallet and
+through the wallet protocol alike, and a key cannot be reused for a
+different transaction.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalWallet, RemoteWallet } = require('../engine/wallet.js');
+const { MockWalletServer } = require('../engine/wallet-server.js');
+
+const wallets = {
+    local: () => new LocalWallet({ balance: 1000 }),
+    remote: () => new RemoteWallet(new MockWalletServer({ balance: 1000 }).send)
+};
+
+for (let [kind, createWallet] of Object.entries(wallets)) {
+    test(`${kind}: a repeated debit or credit moves money once`, () => {
+        const wallet = createWallet();
+        const debit = wallet.debit({ roundId: 'r1', amount: 20, key: 'r1:debit' });
+        assert.equal(debit.ok, true);
+        assert.deepEqual(wallet.debit({ roundId: 'r1', amount: 20, key: 'r1:debit' }), debit);
+        assert.equal(wallet.balance, 980);
+
+        const credit = wallet.credit({ roundId: 'r1', amount: 50, key: 'r1:spin:1' });
+        assert.deepEqual(wallet.credit({ roundId: 'r1', amount: 50, key: 'r1:spin:1' }), credit);
+        assert.equal(wallet.balance, 1030);
+    });
+
+    test(`${kind}: a key reused for a different transaction is refused`, () => {
+        const wallet = createWallet();
+        wallet.debit({ roundId: 'r1', amount: 20, key: 'r1:debit' });
+        const refused = { ok: false, error: 'idempotency_mismatch' };
+
+        assert.deepEqual(wallet.debit({ roundId: 'r1', amount: 30, key: 'r1:debit' }), refused);
+        assert.deepEqual(wallet.debit({ roundId: 'r2', amount: 20, key: 'r1:debit' }), refused);
+        assert.deepEqual(wallet.credit({ roundId: 'r1', amount: 20, key: 'r1:debit' }), refused);
+        assert.deepEqual(wallet.deposit({ amount: 20, key: 'r1:debit' }), refused);
+        assert.equal(wallet.balance, 980);
+    });
+
+    test(`${kind}: a debit is rolled back once`, () => {
+        const wallet = createWallet();
+        wallet.debit({ roundId: 'r1', amount: 20, key: 'r1:debit' });
+        const rollback = { roundId: 'r1', key: 'r1:rollback', debitKey: 'r1:debit' };
+
+        assert.equal(wallet.rollback(rollback).ok, true);
+        assert.equal(wallet.rollback(rollback).ok, true);
+        assert.equal(wallet.balance, 1000);
+        assert.equal(wallet.rollback({ roundId: 'r1', key: 'r1:rollback2', debitKey: 'r1:debit' }).error, 'unknown_transaction');
+        assert.equal(wallet.rollback(Object.assign({}, rollback, { roundId: 'r2' })).error, 'idempotency_mismatch');
+    });
+
+    test(`${kind}: a bet above the balance is refused and can be retried`, () => {
+        const wallet = createWallet();
+        assert.equal(wallet.debit({ roundId: 'r1', amount: 2000, key: 'r1:debit' }).error, 'insufficient_funds');
+        wallet.deposit({ amount: 1000, key: 'deposit:1' });
+        assert.equal(wallet.debit({ roundId: 'r1', amount: 2000, key: 'r1:debit' }).ok, true);
+        assert.equal(wallet.balance, 0);
+    });
+}
+
+test('a stored local wallet remembers its keys across a reload', () => {
+    const items = {};
+    const storage = { getItem: key => (key in items ? items[key] : null), setItem: (key, value) => { items[key] = value; } };
+    new LocalWallet({ balance: 1000, storage }).debit({ roundId: 'r1', amount: 20, key: 'r1:debit' });
+
+    const reloaded = new LocalWallet({ balance: 1000, storage });
+    assert.equal(reloaded.balance, 980);
+    assert.equal(reloaded.debit({ roundId: 'r1', amount: 20, key: 'r1:debit' }).ok, true);
+    assert.equal(reloaded.balance, 980);
+});
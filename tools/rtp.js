@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/*
+EXACT RTP CLI
+
+    node tools/rtp.js [--config game-config.json] [--pockets measured|binomial|p0,p1,...]
+                      [--drops 1000000] [--seed 1] [--target 0.96] [--risk medium]
+                      [--tolerance 0.01] [--json rtp.json]
+
+Prints the exact reel maths and expected return per drop for one risk
+level (the default one unless --risk), then every risk level's RTP. Pocket
+probabilities are measured from the physics by default; "binomial" uses
+an ideal board of the configured rows and layout, or pass one probability
+per pocket. Exits with code 1 when a paytable entry makes the target RTP
+impossible or a risk level is more than --tolerance away from the target.
+
+Measured probabilities are drawn from --seed (default 1), so the same
+config passes or fails on every run.
+*/
+
+const fs = require('fs');
+const { createConfig, defaultConfig } = require('../engine/config.js');
+const { calculateRTP, checkRiskLevels, measurePocketProbabilities, binomialPocketProbabilities } = require('../engine/rtp.js');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function percent(value) {
+    return (value * 100).toFixed(3) + '%';
+}
+
+function pocketProbabilitiesFrom(args, config) {
+    const source = args.pockets || 'measured';
+    if (source === 'measured') {
+        const { probabilities, stuck } = measurePocketProbabilities({
+            config,
+            drops: args.drops ? parseInt(args.drops, 10) : undefined,
+            seed: args.seed !== undefined ? parseInt(args.seed, 10) : undefined
+        });
+        if (stuck > 0) {
+            console.log(`${stuck} ball${stuck === 1 ? '' : 's'} did not land and ${stuck === 1 ? 'is' : 'are'} left out of the pocket probabilities.\n`);
+        }
+        return probabilities;
+    }
+    if (source === 'binomial') {
+        return binomialPocketProbabilities(config);
+    }
+    return source.split(',').map(Number);
+}
+
+function loadConfig(path) {
+    return path ? createConfig(JSON.parse(fs.readFileSync(path, 'utf8'))) : defaultConfig;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const config = loadConfig(args.config);
+    const options = {
+        config,
+        pocketProbabilities: pocketProbabilitiesFrom(args, config),
+        target: args.target !== undefined ? parseFloat(args.target) : undefined,
+        tolerance: args.tolerance !== undefined ? parseFloat(args.tolerance) : undefined
+    };
+    const report = calculateRTP(Object.assign({ risk: args.risk }, options));
+    const riskLevels = checkRiskLevels(options);
+
+    console.log(`Config:                ${config.version} (${report.risk} risk)`);
+    console.log(`RTP per drop:          ${percent(report.rtp)} (target ${percent(report.target)}, ${report.difference >= 0 ? '+' : ''}${percent(report.difference)})`);
+    console.log(`Expected win per spin: ${report.spinExpectedValue.toFixed(5)}x bet`);
+    console.log(`  ...on bonus strips:  ${report.bonusSpinExpectedValue.toFixed(5)}x bet (before multiplier)`);
+    console.log(`Line hit probability:  ${report.lineHitProbability === null ? 'n/a (ways)' : percent(report.lineHitProbability)}`);
+    console.log(`Scatter spins per spin: ${report.expectedExtraSpins.toFixed(5)} (bonus ${report.bonusExpectedExtraSpins.toFixed(5)})`);
+    console.log(`Spins per drop:        ${report.expectedSpinsPerDrop.toFixed(5)}`);
+    console.log(`Cash pockets RTP:      ${percent(report.cashRtp)}`);
+    console.log('');
+    console.log('Pockets:');
+    for (let pocket of report.pockets) {
+        console.log(`  ${String(pocket.index).padStart(2)} ${pocket.label.padEnd(8)} ${percent(pocket.probability).padStart(9)}   RTP ${percent(pocket.rtpContribution)}`);
+    }
+    console.log('Paytable:');
+    for (let entry of report.paytable) {
+        const target = entry.payForTarget === null ? 'unreachable' : entry.payForTarget.toFixed(3);
+        const flag = entry.makesTargetImpossible ? '  <-- alone exceeds target RTP' : '';
+        const count = entry.scatter ? `${entry.count}${entry.count === 5 ? '+' : ''} scatter` : String(entry.count);
+        console.log(`  ${entry.symbol} x${count.padEnd(10)}  pays ${String(entry.pay).padStart(3)}   RTP ${percent(entry.rtpContribution).padStart(9)}   pay for target ${target}${flag}`);
+    }
+
+    console.log('Risk levels:');
+    for (let level of riskLevels) {
+        const flag = level.withinTolerance ? '' : '  <-- off target';
+        console.log(`  ${level.risk.padEnd(10)} RTP ${percent(level.rtp).padStart(9)}   ${level.difference >= 0 ? '+' : ''}${percent(level.difference)}${flag}`);
+    }
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(Object.assign({ riskLevels }, report), null, 2));
+        console.log(`\nJSON report written to ${args.json}`);
+    }
+
+    if (report.flagged.length > 0) {
+        console.log(`\n${report.flagged.length} paytable entr${report.flagged.length === 1 ? 'y makes' : 'ies make'} the target RTP impossible.`);
+        process.exitCode = 1;
+    }
+    const offTarget = riskLevels.filter(level => !level.withinTolerance);
+    if (offTarget.length > 0) {
+        console.log(`\n${offTarget.length} risk level${offTarget.length === 1 ? ' is' : 's are'} off the target RTP.`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/*
+RTP SIMULATOR CLI
+
+    node tools/simulate.js [--config game-config.json] [--drops 1000000] [--seed 123]
+                           [--risk medium] [--json report.json] [--csv report.csv]
+
+Plays the drops headlessly with the current game config, prints a summary
+and optionally writes the full report as JSON and/or CSV.
+*/
+
+const fs = require('fs');
+const { createConfig, defaultConfig } = require('../engine/config.js');
+const { simulate, reportToCSV } = require('../engine/simulator.js');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function percent(value) {
+    return (value * 100).toFixed(2) + '%';
+}
+
+function loadConfig(path) {
+    return path ? createConfig(JSON.parse(fs.readFileSync(path, 'utf8'))) : defaultConfig;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const drops = args.drops ? parseInt(args.drops, 10) : 1000000;
+    const seed = args.seed !== undefined ? parseInt(args.seed, 10) : undefined;
+
+    const report = simulate({
+        config: loadConfig(args.config),
+        drops,
+        seed,
+        risk: args.risk,
+        onProgress: (done, total) => {
+            process.stderr.write(`\r${Math.round(done / total * 100)}% (${done} drops)`);
+        }
+    });
+    process.stderr.write('\n');
+
+    console.log(`Config:             ${report.configVersion} (${report.risk} risk)`);
+    console.log(`Drops:              ${report.drops} (seed ${report.seed})`);
+    console.log(`RTP:                ${percent(report.rtp)}`);
+    console.log(`Hit frequency:      ${percent(report.hitFrequency)}`);
+    console.log(`Std deviation:      ${report.standardDeviation.toFixed(3)}x bet`);
+    console.log(`Bonus trigger rate: ${percent(report.bonusTriggerRate)}`);
+    console.log(`Max win:            ${report.maxWin}x bet`);
+    console.log('');
+    console.log('Pockets:');
+    for (let pocket of report.pockets) {
+        console.log(`  ${String(pocket.index).padStart(2)} ${pocket.label.padEnd(8)} ${percent(pocket.probability).padStart(8)}   RTP ${percent(pocket.rtpContribution)}`);
+    }
+    console.log('Symbols:');
+    for (let symbol of report.symbols) {
+        console.log(`  ${symbol.symbol}  RTP ${percent(symbol.rtpContribution)}`);
+    }
+    console.log('Modifiers:');
+    for (let name of Object.keys(report.modifiers)) {
+        const modifier = report.modifiers[name];
+        console.log(`  ${name.padEnd(10)} triggers ${percent(modifier.triggerRatePerDrop)} of drops   RTP ${percent(modifier.rtpContribution)}`);
+    }
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+        console.log(`\nJSON report written to ${args.json}`);
+    }
+    if (args.csv) {
+        fs.writeFileSync(args.csv, reportToCSV(report));
+        console.log(`CSV report written to ${args.csv}`);
+    }
+}
+
+main();
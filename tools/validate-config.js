@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/*
+GAME CONFIG VALIDATOR
+
+    node tools/validate-config.js [game-config.json ...]
+
+Checks each config file against the schema in engine/config.js and lists
+every problem. Exits with code 1 if any file is invalid.
+*/
+
+const fs = require('fs');
+const { validateConfig } = require('../engine/config.js');
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    files.push(require.resolve('../game-config.json'));
+}
+
+for (let file of files) {
+    let errors;
+    try {
+        errors = validateConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+        console.log(`${file}: OK`);
+    } else {
+        console.log(`${file}: ${errors.length} problem${errors.length > 1 ? 's' : ''}`);
+        errors.forEach(error => console.log(`  - ${error}`));
+        process.exitCode = 1;
+    }
+}
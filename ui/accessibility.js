@@ -0,0 +1,198 @@
+/*
+ACCESSIBILITY
+
+Keyboard play, focus handling, screen-reader announcements and the
+display settings that go with them:
+
+    Space         drop a ball (as the DROP BALL button, so it also stops autoplay)
+    ← ↓ / → ↑     next lower / higher bet
+    Esc           close the rules
+
+Pocket awards, each reel grid and every win are announced through a
+polite live region (announce). Dialogs take focus when they open, keep
+Tab inside them and hand focus back when they close.
+
+Reduced motion - on by default when the system asks for it - drops the
+reel scrolling, the ball and wall glow and the CSS animations; the
+colour-blind palette swaps the red/green BONUS pocket and modifier badge
+colours for an orange/blue pair. Both are saved in localStorage.
+*/
+
+// ============================================
+// ACCESSIBILITY STATE
+// ============================================
+
+const ACCESSIBILITY_SETTINGS_KEY = 'dropspin.accessibility';
+const ANNOUNCEMENT_LIFETIME = 10000; // ms an announcement stays in the live region
+
+const accessibilitySettings = {
+    reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+    colourBlind: false
+};
+const openDialogs = []; // { dialog, returnFocus }, the topmost last
+
+function setupAccessibility() {
+    const saved = window.localStorage.getItem(ACCESSIBILITY_SETTINGS_KEY);
+    if (saved) Object.assign(accessibilitySettings, JSON.parse(saved));
+
+    const reducedMotion = document.getElementById('reducedMotion');
+    const colourBlind = document.getElementById('colourBlindPalette');
+    reducedMotion.checked = accessibilitySettings.reducedMotion;
+    colourBlind.checked = accessibilitySettings.colourBlind;
+    reducedMotion.addEventListener('change', () => {
+        accessibilitySettings.reducedMotion = reducedMotion.checked;
+        saveAccessibilitySettings();
+    });
+    colourBlind.addEventListener('change', () => {
+        accessibilitySettings.colourBlind = colourBlind.checked;
+        saveAccessibilitySettings();
+    });
+    applyAccessibilitySettings();
+
+    document.addEventListener('keydown', handleShortcut);
+    document.addEventListener('keydown', trapDialogFocus);
+
+    engine.on('pocket', ({ ball, pocket, ballsRemaining }) => {
+        const multiBall = engine.landedPockets.length + ballsRemaining > 1;
+        announce(multiBall
+            ? t('ball.pocket', { ball: ball + 1, pocket: pocketName(pocket) })
+            : t('announce.pocket', { pocket: pocketName(pocket) }));
+    });
+    engine.on('turnResult', ({ awards, spinsRemaining, multiplier, cashWin }) => {
+        const parts = [];
+        if (spinsRemaining > 0) parts.push(describeSpinsAward(spinsRemaining, multiplier));
+        if (cashWin > 0) parts.push(describeCash(awards));
+        announce(parts.length > 0 ? parts.join(' • ') : t('status.noAward'));
+    });
+}
+
+function saveAccessibilitySettings() {
+    window.localStorage.setItem(ACCESSIBILITY_SETTINGS_KEY, JSON.stringify(accessibilitySettings));
+    applyAccessibilitySettings();
+}
+
+function applyAccessibilitySettings() {
+    document.body.classList.toggle('reduced-motion', accessibilitySettings.reducedMotion);
+    document.body.classList.toggle('colour-blind', accessibilitySettings.colourBlind);
+}
+
+function motionReduced() {
+    return accessibilitySettings.reducedMotion;
+}
+
+function colourBlindPalette() {
+    return accessibilitySettings.colourBlind;
+}
+
+// ============================================
+// KEYBOARD
+// ============================================
+
+// Shortcuts stay out of the way of form fields, focused buttons (Space
+// already presses them) and open dialogs
+function handleShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target instanceof Element && event.target.closest('input, select, textarea, button, summary, [contenteditable]')) return;
+    if (openDialog()) return;
+
+    if (event.key === ' ') {
+        event.preventDefault();
+        document.getElementById('dropButton').click();
+    } else if (['ArrowLeft', 'ArrowDown', 'ArrowRight', 'ArrowUp'].includes(event.key)) {
+        event.preventDefault();
+        stepBet(event.key === 'ArrowRight' || event.key === 'ArrowUp' ? 1 : -1);
+    }
+}
+
+function stepBet(direction) {
+    const buttons = Array.from(document.querySelectorAll('.bet-btn'));
+    const current = buttons.findIndex(button => button.classList.contains('active'));
+    const next = buttons[current + direction];
+    if (!next) return;
+
+    next.click();
+    announce(gameState.currentBet === parseInt(next.dataset.bet, 10)
+        ? t('announce.bet', { amount: formatMoney(gameState.currentBet) })
+        : t('announce.betLocked'));
+}
+
+// ============================================
+// DIALOGS
+// ============================================
+
+// The dialog on top, or null
+function openDialog() {
+    return openDialogs.length > 0 ? openDialogs[openDialogs.length - 1].dialog : null;
+}
+
+// Shows a dialog overlay and moves focus into it (to `focus`, or its first
+// control); showing one already open changes nothing
+function showDialog(dialog, focus) {
+    if (openDialogs.some(open => open.dialog === dialog)) return;
+    openDialogs.push({ dialog, returnFocus: document.activeElement });
+    dialog.style.display = 'flex';
+    const target = focus || dialogControls(dialog)[0];
+    if (target) target.focus();
+}
+
+// Hides a dialog and gives focus back to where it was
+function hideDialog(dialog) {
+    dialog.style.display = 'none';
+    const index = openDialogs.findIndex(open => open.dialog === dialog);
+    if (index === -1) return;
+    const { returnFocus } = openDialogs.splice(index, 1)[0];
+    if (returnFocus && returnFocus !== document.body && document.contains(returnFocus) && !returnFocus.disabled) {
+        returnFocus.focus();
+    } else {
+        document.getElementById('dropButton').focus();
+    }
+}
+
+function dialogControls(dialog) {
+    return Array.from(dialog.querySelectorAll('button, input, select, a[href], [tabindex]'))
+        .filter(control => !control.disabled);
+}
+
+function trapDialogFocus(event) {
+    const dialog = openDialog();
+    if (event.key !== 'Tab' || !dialog) return;
+
+    const controls = dialogControls(dialog);
+    if (controls.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    const first = controls[0];
+    const last = controls[controls.length - 1];
+    if (!dialog.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// ============================================
+// ANNOUNCEMENTS
+// ============================================
+
+// Queued for screen readers; each message is its own node, so several
+// in quick succession are all read
+function announce(message) {
+    const region = document.getElementById('liveAnnouncer');
+    const line = document.createElement('p');
+    line.textContent = message;
+    region.appendChild(line);
+    setTimeout(() => line.remove(), ANNOUNCEMENT_LIFETIME);
+}
+
+// The visible grid row by row, as read out after each spin
+function describeGrid(reelResults) {
+    return reelResults[0]
+        .map((_, row) => t('announce.row', { row: row + 1, symbols: reelResults.map(reel => reel[row]).join(' ') }))
+        .join('. ');
+}
@@ -0,0 +1,164 @@
+/*
+AUTOPLAY PANEL
+
+Chains drop → reel session → next drop for a chosen number of drops.
+Each drop waits for the previous turn to finish presenting, so no ball
+is dropped while the reels are spinning. Autoplay stops early on a loss
+limit, a single-win limit, a balance increase target or a bonus, and on
+any click on the game controls.
+*/
+
+// ============================================
+// AUTOPLAY STATE
+// ============================================
+
+const AUTOPLAY_GAP = 500; // pause between one turn finishing and the next drop
+
+let autoplay = null; // { dropsLeft, startBalance, lossLimit, winLimit, balanceTarget, stopOnBonus, bonusTriggered }
+
+// startBalance stays null until autoplay's own first drop: a turn already
+// in play when it started counts towards none of the stop conditions
+
+function setupAutoplayPanel() {
+    document.getElementById('autoplayStart').addEventListener('click', () => {
+        if (isAutoplaying()) {
+            stopAutoplay('stopped');
+        } else {
+            startAutoplay();
+        }
+    });
+
+    // Limits step by the smallest bet
+    for (let id of ['autoplayLossLimit', 'autoplayWinLimit', 'autoplayBalanceTarget']) {
+        document.getElementById(id).step = fromMinorUnits(locale.currency.bets[0]);
+    }
+
+    document.getElementById('turboMode').addEventListener('change', function() {
+        turbo = this.checked;
+    });
+
+    // Any click on the controls stops autoplay and does nothing else, so
+    // it cannot also drop a ball or change the bet
+    document.querySelector('.controls').addEventListener('click', event => {
+        if (!isAutoplaying()) return;
+        event.stopPropagation();
+        stopAutoplay('stopped');
+    }, true);
+
+    engine.on('turnResult', ({ bonus }) => {
+        if (autoplay && autoplay.startBalance !== null && bonus) autoplay.bonusTriggered = true;
+    });
+
+    updateAutoplayPanel();
+}
+
+function isAutoplaying() {
+    return autoplay !== null;
+}
+
+// Limits are typed in whole units of the currency and kept in minor
+// units; an empty field means no limit
+function readLimit(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return value > 0 ? toMinorUnits(value) : null;
+}
+
+function startAutoplay() {
+    const drops = parseInt(document.getElementById('autoplayDrops').value, 10);
+    if (!(drops >= 1)) {
+        updateStatus(t('autoplay.invalidDrops'));
+        return;
+    }
+    autoplay = {
+        dropsLeft: drops,
+        startBalance: null,
+        lossLimit: readLimit('autoplayLossLimit'),
+        winLimit: readLimit('autoplayWinLimit'),
+        balanceTarget: readLimit('autoplayBalanceTarget'),
+        stopOnBonus: document.getElementById('autoplayStopOnBonus').checked,
+        bonusTriggered: false
+    };
+    setControlsLocked();
+    updateAutoplayPanel();
+
+    // A turn already in play starts autoplay when it finishes
+    if (!controlsLocked) {
+        autoplayDrop();
+    }
+}
+
+// reason is a key under autoplay.stop in the locale catalogue; without
+// one the status keeps whatever explained the stop
+function stopAutoplay(reason) {
+    if (!autoplay) return;
+    autoplay = null;
+    setControlsLocked();
+    updateAutoplayPanel();
+    if (reason) updateStatus(t(`autoplay.stop.${reason}`));
+}
+
+// Called by the game once a turn has played out
+function continueAutoplay() {
+    if (!autoplay) return;
+
+    const reason = autoplay.startBalance !== null ? autoplayStopReason() : null;
+    if (reason) {
+        stopAutoplay(reason);
+        return;
+    }
+    setTimeout(autoplayDrop, presentationDelay(AUTOPLAY_GAP));
+}
+
+// Why autoplay must stop after the turn that just finished, if it must
+function autoplayStopReason() {
+    const profit = gameState.balance - autoplay.startBalance;
+    const lastWin = engine.round ? engine.round.win : 0;
+
+    if (autoplay.stopOnBonus && autoplay.bonusTriggered) return 'bonus';
+    if (autoplay.winLimit !== null && lastWin >= autoplay.winLimit) return 'winLimit';
+    if (autoplay.balanceTarget !== null && profit >= autoplay.balanceTarget) return 'balanceTarget';
+    // Stop before the drop whose bet could take the loss past the limit
+    if (autoplay.lossLimit !== null && gameState.currentBet - profit > autoplay.lossLimit) return 'lossLimit';
+    if (autoplay.dropsLeft <= 0) return 'finished';
+    return null;
+}
+
+function autoplayDrop() {
+    // Stopped during the gap, or a turn is somehow still in play
+    if (!autoplay || gameState.isDropping || gameState.isSpinning) return;
+
+    // Wait out the minimum round duration rather than stopping
+    const waitMs = protection.msUntilNextDrop();
+    if (waitMs > 0) {
+        setTimeout(autoplayDrop, waitMs);
+        return;
+    }
+
+    const balance = gameState.balance;
+    // Refused by a limit, a reality check or the wallet
+    if (!dropBall()) {
+        stopAutoplay();
+        return;
+    }
+    if (autoplay.startBalance === null) autoplay.startBalance = balance;
+    autoplay.dropsLeft--;
+    updateAutoplayPanel();
+}
+
+// ============================================
+// AUTOPLAY PANEL RENDERING
+// ============================================
+
+function updateAutoplayPanel() {
+    const running = isAutoplaying();
+    document.getElementById('autoplayStart').textContent = t(running ? 'autoplay.stopButton' : 'autoplay.startButton');
+    document.getElementById('autoplayDropsLeft').textContent = running ? t('autoplay.dropsLeft', { count: autoplay.dropsLeft }) : '';
+    document.querySelector('#dropButton .drop-text').textContent = running
+        ? t('autoplay.dropButton', { count: autoplay.dropsLeft })
+        : t('controls.drop');
+
+    // Settings apply when autoplay starts
+    document.querySelectorAll('.autoplay-setting').forEach(input => {
+        input.disabled = running;
+    });
+}
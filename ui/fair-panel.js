@@ -0,0 +1,152 @@
+/*
+PROVABLY FAIR PANEL
+
+Shows the hashed server seed before each drop, lets the player set their
+client seed and rotate (reveal) the server seed, and re-computes any past
+fair drop from its revealed seeds.
+*/
+
+// ============================================
+// FAIR STATE
+// ============================================
+
+const fairServer = new DropSpin.FairServer({ storage: window.localStorage });
+let fairClientSeed = DropSpin.randomClientSeed();
+const fairRounds = []; // round records of drops played in fair mode
+
+function setupFairPanel() {
+    document.getElementById('fairClientSeed').value = fairClientSeed;
+    
+    document.getElementById('fairMode').addEventListener('change', function() {
+        if (gameState.isDropping || gameState.isSpinning) {
+            this.checked = !this.checked;
+            return;
+        }
+        setFairMode(this.checked);
+    });
+    
+    document.getElementById('fairClientSeed').addEventListener('change', function() {
+        if (gameState.isDropping || gameState.isSpinning || !this.value.trim()) {
+            this.value = fairClientSeed;
+            return;
+        }
+        fairClientSeed = this.value.trim();
+    });
+    
+    document.getElementById('fairRotate').addEventListener('click', () => {
+        if (gameState.isDropping || gameState.isSpinning) return;
+        fairServer.rotate();
+        updateFairPanel();
+    });
+    
+    document.getElementById('fairVerify').addEventListener('click', verifyFairDrop);
+    
+    engine.on('drop', ({ round }) => {
+        if (!round.fair) return;
+        fairRounds.push(round);
+        updateFairPanel();
+    });
+    
+    updateFairPanel();
+}
+
+function setFairMode(enabled) {
+    if (enabled) {
+        engine.roundRng = () => fairServer.nextRng(fairClientSeed);
+    } else {
+        engine.roundRng = null;
+        engine.rng = DropSpin.createRng();
+    }
+}
+
+// ============================================
+// FAIR PANEL RENDERING
+// ============================================
+
+function updateFairPanel() {
+    document.getElementById('fairServerHash').textContent = fairServer.serverSeedHash;
+    document.getElementById('fairNonce').textContent = fairServer.nonce;
+    
+    const lastRevealed = fairServer.revealed[fairServer.revealed.length - 1];
+    document.getElementById('fairRevealedSeed').textContent = lastRevealed ? lastRevealed.serverSeed : '—';
+    
+    // Past drops, newest first
+    const list = document.getElementById('fairHistory');
+    list.innerHTML = '';
+    for (let i = fairRounds.length - 1; i >= 0; i--) {
+        const round = fairRounds[i];
+        const revealed = fairServer.revealedSeed(round.fair.serverSeedHash);
+        
+        const row = document.createElement('button');
+        row.className = 'fair-round';
+        row.textContent = `#${round.fair.nonce} • ${t('fair.risk', { risk: riskName(round.risk) })} • ` +
+            `${round.fair.serverSeedHash.slice(0, 10)}… • ${t(revealed ? 'fair.revealed' : 'fair.hidden')}`;
+        row.addEventListener('click', () => selectFairRound(i));
+        list.appendChild(row);
+    }
+}
+
+function selectFairRound(index) {
+    const round = fairRounds[index];
+    
+    document.getElementById('fairVerify').dataset.round = index;
+    document.getElementById('fairVerifyServerSeed').value = fairServer.revealedSeed(round.fair.serverSeedHash) || '';
+    document.getElementById('fairVerifyClientSeed').value = round.fair.clientSeed;
+    document.getElementById('fairVerifyNonce').value = round.fair.nonce;
+}
+
+// ============================================
+// VERIFIER
+// ============================================
+
+function verifyFairDrop() {
+    const serverSeed = document.getElementById('fairVerifyServerSeed').value.trim();
+    const clientSeed = document.getElementById('fairVerifyClientSeed').value.trim();
+    const nonce = parseInt(document.getElementById('fairVerifyNonce').value, 10);
+    const output = document.getElementById('fairVerifyResult');
+    
+    if (!serverSeed || !clientSeed || isNaN(nonce)) {
+        output.textContent = t('fair.verifyMissing');
+        return;
+    }
+    
+    // A selected past drop supplies the bet, risk level and modifiers it
+    // was played with; hand-typed seeds are checked as a plain single-ball
+    // drop at the current bet and risk.
+    const selected = fairRounds[document.getElementById('fairVerify').dataset.round];
+    const matchesSelected = selected && selected.fair.clientSeed === clientSeed && selected.fair.nonce === nonce;
+    const record = {
+        bet: matchesSelected ? selected.bet : gameState.currentBet,
+        risk: matchesSelected ? selected.risk : gameState.risk,
+        modifiers: matchesSelected ? selected.modifiers : { leftWall: false, rightWall: false, extraBalls: 0 },
+        fair: {
+            serverSeedHash: matchesSelected ? selected.fair.serverSeedHash : DropSpin.sha256Hex(serverSeed),
+            clientSeed,
+            nonce
+        }
+    };
+    
+    const result = DropSpin.verifyRound(record, serverSeed, config);
+    const pockets = config.plinko.riskLevels[record.risk];
+    const lines = [
+        t(result.hashMatches ? 'fair.hashOk' : 'fair.hashMismatch'),
+        t('fair.pockets', {
+            count: result.pockets.length,
+            pockets: result.pockets.map(i => `${i} (${pocketName(pockets[i])})`).join(', ')
+        })
+    ];
+    result.reelResults.forEach((grid, spin) => {
+        lines.push(`${t('round.spin', { spin: spin + 1 })}:`);
+        for (let row = 0; row < 3; row++) {
+            lines.push('  ' + grid.map(reel => reel[row]).join(' '));
+        }
+    });
+    
+    if (matchesSelected) {
+        const same = JSON.stringify(result.pockets) === JSON.stringify(selected.pockets) &&
+            JSON.stringify(result.reelResults) === JSON.stringify(selected.spins.map(s => s.reelResults));
+        lines.push(t(same ? 'fair.matches' : 'fair.differs'));
+    }
+    
+    output.textContent = lines.join('\n');
+}
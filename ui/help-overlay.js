@@ -0,0 +1,204 @@
+/*
+RULES & PAYTABLE OVERLAY
+
+In-game help built from the live config and the engine's own rule tables
+each time it is opened, so it describes the game actually being played:
+pays in money at the current bet, the payline shapes (or ways), the WILD
+and scatter, the pockets of every risk level, the modifiers the reels
+award (MODIFIER_RULES, reels.js) and the multi-ball rules.
+*/
+
+// ============================================
+// HELP STATE
+// ============================================
+
+function setupHelpOverlay() {
+    const overlay = document.getElementById('helpOverlay');
+    document.getElementById('helpButton').addEventListener('click', showHelp);
+    document.getElementById('helpClose').addEventListener('click', hideHelp);
+    overlay.addEventListener('click', event => {
+        if (event.target === overlay) hideHelp();
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && overlay.style.display !== 'none') hideHelp();
+    });
+}
+
+function showHelp() {
+    const content = document.getElementById('helpContent');
+    content.innerHTML = '';
+    const bet = formatMoney(gameState.currentBet);
+    content.append(
+        helpSection(t('help.howToPlay'), helpText(t('help.howToPlayText', {
+            bet,
+            rtp: formatNumber(Math.round(config.advertisedRtp * 1000) / 10)
+        }))),
+        helpSection(t('help.paytable', { bet }), renderHelpPaytable(), ...renderSymbolRules()),
+        helpSection(t(config.evaluation === 'ways' ? 'help.ways' : 'help.paylines'), ...renderHelpPaylines()),
+        helpSection(t('help.pockets'), ...renderHelpPockets()),
+        helpSection(t('help.modifiers'), ...renderHelpModifiers())
+    );
+    showDialog(document.getElementById('helpOverlay'), document.getElementById('helpClose'));
+}
+
+function hideHelp() {
+    hideDialog(document.getElementById('helpOverlay'));
+}
+
+// ============================================
+// HELP RENDERING
+// ============================================
+
+function helpSection(title, ...children) {
+    const section = document.createElement('section');
+    section.className = 'help-section';
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.append(heading, ...children);
+    return section;
+}
+
+function helpText(text) {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = text;
+    return paragraph;
+}
+
+// Line pays (and the scatter) in money at the current bet
+function renderHelpPaytable() {
+    const bet = gameState.currentBet;
+    const table = document.createElement('table');
+    table.className = 'paytable help-paytable';
+    table.innerHTML = '<tr><th></th><th>3</th><th>4</th><th>5</th></tr>';
+
+    for (let symbol in config.paytable) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td class="paytable-symbol">${symbol}</td>` +
+            config.paytable[symbol].map(pay => `<td>${formatMoney(Math.round(pay * bet))}</td>`).join('');
+        table.appendChild(row);
+    }
+
+    if (config.scatter) {
+        const row = document.createElement('tr');
+        row.className = 'paytable-scatter';
+        row.innerHTML = `<td class="paytable-symbol">${config.scatter.symbol}</td>` +
+            config.scatter.pays.map((pay, i) => `<td>${formatMoney(Math.round(pay * bet))} +${config.scatter.spins[i]}</td>`).join('');
+        table.appendChild(row);
+    }
+    return table;
+}
+
+function renderSymbolRules() {
+    const wild = config.symbols.WILD;
+    const ways = config.evaluation === 'ways';
+    const rules = [
+        helpText(config.scatter
+            ? t(ways ? 'help.wildWaysScatter' : 'help.wildLinesScatter', { wild, scatter: config.scatter.symbol })
+            : t(ways ? 'help.wildWays' : 'help.wildLines', { wild }))
+    ];
+    if (config.scatter) {
+        const last = config.scatter.spins.length - 1;
+        const spins = config.scatter.spins.map((count, i) => t(i === last ? 'help.scatterSpinsOrMore' : 'help.scatterSpins', {
+            symbols: i + 3,
+            count
+        }));
+        rules.push(helpText(t('help.scatter', { scatter: config.scatter.symbol, spins: spins.join(', ') })));
+    }
+    return rules;
+}
+
+// One small reel grid per payline, its cells lit
+function renderHelpPaylines() {
+    if (config.evaluation === 'ways') {
+        const reels = config.reelStrips.base.length;
+        return [helpText(t('help.waysText', { count: Math.pow(3, reels), wild: config.symbols.WILD }))];
+    }
+
+    const list = document.createElement('div');
+    list.className = 'help-paylines';
+    config.paylines.forEach((payline, line) => {
+        const diagram = document.createElement('div');
+        diagram.className = 'payline-diagram';
+        for (let row = 0; row < 3; row++) {
+            payline.forEach(lineRow => {
+                const cell = document.createElement('span');
+                if (lineRow === row) {
+                    cell.className = 'on';
+                    cell.style.background = PAYLINE_COLOURS[line % PAYLINE_COLOURS.length];
+                }
+                diagram.appendChild(cell);
+            });
+        }
+        const label = document.createElement('div');
+        label.className = 'payline-number';
+        label.textContent = t('win.line', { line: line + 1 });
+        diagram.appendChild(label);
+        list.appendChild(diagram);
+    });
+    return [list, helpText(t('help.paylinesText'))];
+}
+
+function describePocket(pocket) {
+    const bet = gameState.currentBet;
+    switch (pocket.type) {
+        case 'SPINS':
+            return t('help.pocketSpins', { count: pocket.award });
+        case 'BONUS':
+            return t(config.reelStrips.bonus ? 'help.pocketBonusReels' : 'help.pocketBonus', {
+                count: config.bonusSpins,
+                multiplier: formatNumber(config.bonusMultiplier)
+            });
+        case 'MULTIPLIER':
+            return t('help.pocketMultiplier', { count: pocket.award, multiplier: formatNumber(pocket.multiplier) });
+        case 'CASH':
+            return t('help.pocketCash', { amount: formatMoney(Math.round(pocket.pays * bet)) });
+        case 'COLLECT': {
+            const { contribution, seed } = config.plinko.collect;
+            return t('help.pocketCollect', {
+                pot: formatMoney(Math.round(gameState.collectPot * bet)),
+                contribution: formatMoney(Math.round(contribution * bet)),
+                seed: formatMoney(Math.round(seed * bet))
+            });
+        }
+    }
+}
+
+// Each risk level's pockets, left to right, repeats listed once
+function renderHelpPockets() {
+    const levels = Object.keys(config.plinko.riskLevels).map(risk => {
+        const pockets = config.plinko.riskLevels[risk];
+        const seen = new Set();
+        const list = document.createElement('ul');
+        for (let pocket of pockets) {
+            const name = pocketName(pocket);
+            if (seen.has(name)) continue;
+            seen.add(name);
+            const item = document.createElement('li');
+            item.textContent = `${name}: ${describePocket(pocket)}`;
+            list.appendChild(item);
+        }
+        const title = document.createElement('h4');
+        title.textContent = t(risk === gameState.risk ? 'help.riskSelected' : 'help.risk', { risk: riskName(risk) }) +
+            `: ${pockets.map(pocketName).join(' | ')}`;
+        return [title, list];
+    });
+
+    const rules = config.multiBallRules;
+    return [].concat(...levels, helpText(t('help.multiBall', {
+        spins: t(rules.spins === 'max' ? 'help.multiBallMax' : 'help.multiBallSum'),
+        bonus: t(rules.bonusSpins === 'each' ? 'help.multiBallBonusEach' : 'help.multiBallBonusOnce')
+    })));
+}
+
+// MODIFIER_RULES, as the reels check them
+function renderHelpModifiers() {
+    const list = document.createElement('ul');
+    for (let rule of DropSpin.MODIFIER_RULES) {
+        const symbol = config.symbols[rule.symbol];
+        const item = document.createElement('li');
+        item.textContent = `${symbol.repeat(rule.count)} (${t('help.modifierRule', { count: rule.count, symbol })}): ` +
+            t(`help.modifier.${rule.modifier}`);
+        list.appendChild(item);
+    }
+    return [helpText(t('help.modifiersText')), list];
+}
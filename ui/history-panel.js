@@ -0,0 +1,131 @@
+/*
+ROUND HISTORY PANEL
+
+Lists the rounds in the persistent round log (engine/session-store.js),
+newest first, shows the full record of a selected round and exports the
+whole log as JSON or CSV. The selected round can be watched again in the
+replay panel (ui/replay-panel.js).
+*/
+
+// ============================================
+// HISTORY STATE
+// ============================================
+
+const HISTORY_ROWS = 100; // most recent rounds listed; exports hold them all
+
+let selectedHistoryRound = null;
+
+function setupHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+
+    // The log is only read while the panel is open
+    panel.addEventListener('toggle', () => {
+        if (panel.open) updateHistoryPanel();
+    });
+    engine.on('turnResult', ({ spinsRemaining }) => {
+        if (spinsRemaining === 0 && panel.open) updateHistoryPanel();
+    });
+    engine.on('sessionEnd', () => {
+        if (panel.open) updateHistoryPanel();
+    });
+
+    document.getElementById('historyExportJson').addEventListener('click', () => {
+        downloadFile('drop-spin-rounds.json', JSON.stringify(sessionStore.rounds(), null, 2), 'application/json');
+    });
+    document.getElementById('historyExportCsv').addEventListener('click', () => {
+        downloadFile('drop-spin-rounds.csv', DropSpin.roundsToCsv(sessionStore.rounds()), 'text/csv');
+    });
+    document.getElementById('historyReplay').addEventListener('click', () => {
+        const replayPanel = document.getElementById('replayPanel');
+        document.getElementById('replayRound').value = selectedHistoryRound.id;
+        replayPanel.open = true;
+        replayPanel.scrollIntoView({ behavior: 'smooth' });
+        startReplay(selectedHistoryRound);
+    });
+}
+
+function downloadFile(name, contents, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// ============================================
+// HISTORY PANEL RENDERING
+// ============================================
+
+function updateHistoryPanel() {
+    const count = sessionStore.roundCount;
+    document.getElementById('historyCount').textContent = t('history.count', { count });
+
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+    for (let id = count - 1; id >= Math.max(0, count - HISTORY_ROWS); id--) {
+        const entry = sessionStore.round(id);
+
+        const row = document.createElement('button');
+        row.className = entry.win > 0 ? 'history-round win' : 'history-round';
+        row.textContent = `#${entry.id} • ${formatDate(entry.timestamp)} • ${t('round.bet', { amount: formatMoney(entry.bet) })} • ` +
+            `${describeLoggedPockets(entry)} • ${t('round.win', { amount: formatMoney(entry.win) })}`;
+        row.addEventListener('click', () => showHistoryRound(entry));
+        list.appendChild(row);
+    }
+}
+
+// A logged pocket named in the player's language; the log keeps the
+// config's label, which a pocket the config no longer has falls back on
+function loggedPocketName(entry, pocket) {
+    const pockets = config.plinko.riskLevels[entry.risk];
+    return pockets && pockets[pocket.index] ? pocketName(pockets[pocket.index]) : pocket.label;
+}
+
+function describeLoggedPockets(entry) {
+    return entry.pockets.map(pocket => loggedPocketName(entry, pocket)).join(', ');
+}
+
+// Modifier names as logged (leftWall, tripleBall, ...), or "none"
+function describeModifiers(names) {
+    return names.map(name => t(`modifier.name.${name}`)).join(', ') || t('common.noneLower');
+}
+
+// " • resumed after a reload" and the like, for a round a reload cut into
+function historyNote(entry) {
+    if (entry.refunded) return ` • ${t('history.refunded')}`;
+    return entry.resumed ? ` • ${t('history.resumed')}` : '';
+}
+
+function showHistoryRound(entry) {
+    selectedHistoryRound = entry;
+    document.getElementById('historyReplay').disabled = false;
+
+    const lines = [
+        `${t('round.title', { id: entry.id })} • ${formatDate(entry.timestamp)}${historyNote(entry)}`,
+        `${t('round.bet', { amount: formatMoney(entry.bet) })} • ${t('fair.risk', { risk: riskName(entry.risk) })} • ${t('round.id', { id: entry.roundId })}`,
+        t('round.pockets', { pockets: describeLoggedPockets(entry) }),
+        t('history.modifiers', { used: describeModifiers(entry.modifiersConsumed), gained: describeModifiers(entry.modifiersGained) })
+    ];
+    if (entry.cashWin > 0) {
+        lines.push(t('history.pocketCash', { amount: formatMoney(entry.cashWin) }));
+    }
+    if (entry.multiplier > 1) {
+        lines.push(t('history.multiplier', { multiplier: formatNumber(entry.multiplier) }));
+    }
+    entry.spins.forEach((spin, index) => {
+        lines.push(`${t('round.spin', { spin: index + 1 })}: ${formatMoney(spin.win)}`);
+        spin.grid[0].forEach((_, row) => {
+            lines.push('  ' + spin.grid.map(reel => reel[row]).join(' '));
+        });
+        for (let win of spin.lineWins) {
+            lines.push(`  ${win.ways ? t('win.waysCount', { count: win.ways }) : t('win.line', { line: win.line + 1 })}: ${win.symbol}x${win.count}`);
+        }
+        if (spin.scatter.amount > 0 || spin.scatter.spins > 0) {
+            lines.push(`  ${t('win.scatter')} x${spin.scatter.count}${spin.scatter.spins > 0 ? ` ${t('history.scatterSpins', { count: spin.scatter.spins })}` : ''}`);
+        }
+    });
+    lines.push(t('history.balance', { before: formatMoney(entry.balanceBefore), after: formatMoney(entry.balanceAfter) }));
+
+    document.getElementById('historyDetail').textContent = lines.join('\n');
+}
@@ -0,0 +1,156 @@
+/*
+LOCALE & CURRENCY
+
+Every string the game shows comes from a locale catalogue
+(locales/<language>.json), looked up by key with t(). The English
+catalogue is always loaded and fills in any key a translation lacks.
+{name} in a string is replaced by that parameter; a string can instead
+be a set of plural forms (Intl.PluralRules categories: one, other, ...)
+chosen by the `count` parameter. Static markup names its key in a
+data-i18n attribute, or data-i18n-<attribute> for an attribute.
+
+    ?lang=de        catalogue and number format (default: the browser's language)
+    ?currency=EUR   one of config.currencies (default: config.defaultCurrency)
+
+Amounts stay whole minor units of the currency in play - pence, cents,
+or yen, which has none - and are formatted with Intl.NumberFormat. Each
+currency has its own bet ladder and opening balance, and keeps its own
+saved wallet, session and limits.
+*/
+
+// ============================================
+// LOCALE STATE
+// ============================================
+
+const LOCALE_URL = 'locales/{language}.json';
+const LOCALES = ['en', 'de'];
+const FALLBACK_LOCALE = 'en';
+
+const localeParams = new URLSearchParams(window.location.search);
+const locale = {
+    tag: FALLBACK_LOCALE,      // BCP 47 tag numbers and dates are formatted for
+    language: FALLBACK_LOCALE, // catalogue in use, one of LOCALES
+    strings: {},
+    plurals: null,             // Intl.PluralRules
+    currency: null,            // { code, bets, defaultBet, openingBalance, minorUnit, format }
+    storagePrefix: 'dropspin'
+};
+
+// Loads the catalogue for ?lang, or the browser's language when there is
+// one for it
+async function loadLocale() {
+    const tag = localeParams.get('lang') || navigator.language || FALLBACK_LOCALE;
+    const language = tag.split('-')[0].toLowerCase();
+    locale.language = LOCALES.includes(language) ? language : FALLBACK_LOCALE;
+    locale.tag = locale.language === language ? tag : FALLBACK_LOCALE;
+    locale.plurals = new Intl.PluralRules(locale.tag);
+
+    const catalogues = [FALLBACK_LOCALE];
+    if (locale.language !== FALLBACK_LOCALE) catalogues.push(locale.language);
+    for (let language of catalogues) {
+        const url = LOCALE_URL.replace('{language}', language);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status}`);
+        }
+        Object.assign(locale.strings, await response.json());
+    }
+    document.documentElement.lang = locale.tag;
+}
+
+// Picks the currency (?currency, else the config's default) once the game
+// config has loaded. The default currency keeps the game's original
+// storage keys; any other saves under its own.
+function setCurrency(config) {
+    const requested = (localeParams.get('currency') || '').toUpperCase();
+    const code = Object.prototype.hasOwnProperty.call(config.currencies, requested) ? requested : config.defaultCurrency;
+    const format = new Intl.NumberFormat(locale.tag, { style: 'currency', currency: code });
+
+    locale.currency = Object.assign({}, config.currencies[code], {
+        code,
+        minorUnit: Math.pow(10, format.resolvedOptions().maximumFractionDigits),
+        format
+    });
+    locale.storagePrefix = code === config.defaultCurrency ? 'dropspin' : `dropspin.${code}`;
+}
+
+// ============================================
+// LOOKUP
+// ============================================
+
+function t(key, params = {}) {
+    let text = key in locale.strings ? locale.strings[key] : key;
+    if (typeof text === 'object') {
+        text = text[locale.plurals.select(params.count)] || text.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+}
+
+// Fills in every data-i18n text and data-i18n-<attribute> in the page;
+// {currency} is the symbol of the currency in play
+function translatePage() {
+    const params = { currency: currencySymbol() };
+    for (let element of document.querySelectorAll('*')) {
+        for (let { name, value } of Array.from(element.attributes)) {
+            if (name === 'data-i18n') {
+                element.textContent = t(value, params);
+            } else if (name.startsWith('data-i18n-')) {
+                element.setAttribute(name.slice('data-i18n-'.length), t(value, params));
+            }
+        }
+    }
+}
+
+// A pocket's name in the player's language
+function pocketName(pocket) {
+    switch (pocket.type) {
+        case 'SPINS':
+            return t('pocket.spins', { count: pocket.award });
+        case 'MULTIPLIER':
+            return t('pocket.multiplier', { count: pocket.award, multiplier: formatNumber(pocket.multiplier) });
+        case 'CASH':
+            return t('pocket.cash', { pays: formatNumber(pocket.pays) });
+        default:
+            return t(`pocket.${pocket.type.toLowerCase()}`);
+    }
+}
+
+// Risk levels are named by the config; the catalogue names the usual ones
+function riskName(level) {
+    const key = `risk.${level}`;
+    return key in locale.strings ? t(key) : level.toUpperCase();
+}
+
+// ============================================
+// NUMBERS & MONEY
+// ============================================
+
+function formatNumber(value) {
+    return value.toLocaleString(locale.tag);
+}
+
+function formatDate(time) {
+    return new Date(time).toLocaleString(locale.tag);
+}
+
+// Bets drop the minor unit when they are whole: £1, but £0.50
+function formatBet(amount) {
+    const { format, minorUnit, code } = locale.currency;
+    if (amount % minorUnit !== 0) return format.format(amount / minorUnit);
+    return new Intl.NumberFormat(locale.tag, { style: 'currency', currency: code, minimumFractionDigits: 0 })
+        .format(amount / minorUnit);
+}
+
+// The currency's symbol as this locale writes it, e.g. for input labels
+function currencySymbol() {
+    return locale.currency.format.formatToParts(0).find(part => part.type === 'currency').value;
+}
+
+// Amounts typed in whole units (pounds, euros, yen) to minor units and back
+function toMinorUnits(value) {
+    return Math.round(value * locale.currency.minorUnit);
+}
+
+function fromMinorUnits(amount) {
+    return amount / locale.currency.minorUnit;
+}
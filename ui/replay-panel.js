@@ -0,0 +1,338 @@
+/*
+ROUND REPLAY PANEL
+
+Watches a logged round again: its drop on plinkoCanvas and its reel
+session through the reels. The round is played once more on a fresh
+engine from its recorded seed (recordReplay, engine.js), so what is shown
+is what the engine decides - and it is checked against the log. Playback
+can be slowed down, paused and stepped one physics step at a time; the
+debug overlay adds the pocket zones, each ball's trail and the pegs it
+has hit, for looking into a landing a player disputes.
+*/
+
+// ============================================
+// REPLAY STATE
+// ============================================
+
+const REPLAY_SPIN_HOLD = 1500; // each spin's result stays up this long at 1x
+
+// { entry, recording, position, progress, playing, spinning, timer, speed, debug }
+// position runs through the drop's frames, then one place per spin
+let replay = null;
+
+function setupReplayPanel() {
+    const panel = document.getElementById('replayPanel');
+    panel.addEventListener('toggle', () => {
+        const input = document.getElementById('replayRound');
+        if (panel.open && input.value === '' && sessionStore.roundCount > 0) {
+            input.value = sessionStore.roundCount - 1;
+        }
+    });
+
+    document.getElementById('replayLoad').addEventListener('click', () => {
+        const id = parseInt(document.getElementById('replayRound').value, 10);
+        const entry = isNaN(id) ? null : sessionStore.round(id);
+        if (!entry) {
+            document.getElementById('replayInfo').textContent = t('replay.noSuchRound');
+            return;
+        }
+        startReplay(entry);
+    });
+    document.getElementById('replayExit').addEventListener('click', exitReplay);
+
+    document.getElementById('replayPlay').addEventListener('click', () => {
+        if (replay.playing) {
+            pauseReplay();
+        } else {
+            // Playing from the end starts again
+            if (replay.position === replayLength() - 1) setReplayPosition(0);
+            replay.playing = true;
+        }
+        updateReplayPanel();
+    });
+    document.getElementById('replayStepBack').addEventListener('click', () => {
+        pauseReplay();
+        setReplayPosition(replay.position - 1);
+    });
+    document.getElementById('replayStep').addEventListener('click', () => {
+        pauseReplay();
+        setReplayPosition(replay.position + 1);
+    });
+
+    document.getElementById('replaySpeed').addEventListener('change', function() {
+        if (replay) replay.speed = parseFloat(this.value);
+    });
+    document.getElementById('replayDebug').addEventListener('change', function() {
+        if (replay) replay.debug = this.checked;
+    });
+}
+
+// Plays the entry's round again and takes the board over until the
+// replay is left
+function startReplay(entry) {
+    const info = document.getElementById('replayInfo');
+    if (!replay && (controlsLocked || isAutoplaying())) {
+        info.textContent = t('replay.turnInPlay');
+        return;
+    }
+
+    // Fair rounds need their server seed, which is revealed on rotation
+    const record = DropSpin.replayRecord(entry);
+    let rng;
+    if (record.fair) {
+        const serverSeed = fairServer.revealedSeed(record.fair.serverSeedHash);
+        if (!serverSeed) {
+            info.textContent = t('replay.seedHidden');
+            return;
+        }
+        rng = new DropSpin.FairRng(serverSeed, record.fair.clientSeed, record.fair.nonce);
+    }
+
+    let recording;
+    try {
+        recording = DropSpin.recordReplay(record, { rng, config });
+    } catch (error) {
+        info.textContent = t('replay.failed', { id: entry.id, error: error.message });
+        return;
+    }
+
+    if (replay) clearTimeout(replay.timer);
+    replay = {
+        entry,
+        recording,
+        position: 0,
+        progress: 0,
+        playing: false,
+        spinning: false,
+        timer: null,
+        speed: parseFloat(document.getElementById('replaySpeed').value),
+        debug: document.getElementById('replayDebug').checked
+    };
+
+    setControlsLocked(true);
+    renderPocketLabels(recording.pockets);
+    highlightWinningSymbols([]);
+    updateStatus(t('status.replaying', { id: entry.id }));
+    info.textContent = describeReplay(entry, recording);
+    updateReplayPanel();
+}
+
+function exitReplay() {
+    clearTimeout(replay.timer);
+    replay = null;
+
+    renderPocketLabels();
+    highlightWinningSymbols([]);
+    setControlsLocked(false);
+    updateStatus(t('status.continue'));
+    updateReplayPanel();
+}
+
+function pauseReplay() {
+    replay.playing = false;
+    clearTimeout(replay.timer);
+    replay.timer = null;
+}
+
+function replayLength() {
+    return replay.recording.frames.length + replay.recording.spins.length;
+}
+
+// Jumps to a place on the timeline; a spin is shown stopped at its result
+function setReplayPosition(position) {
+    const frames = replay.recording.frames;
+    replay.position = Math.max(0, Math.min(position, replayLength() - 1));
+    replay.progress = 0;
+    if (replay.position >= frames.length) {
+        showReplaySpin(replay.position - frames.length);
+    } else {
+        highlightWinningSymbols([]);
+    }
+    updateReplayPanel();
+}
+
+// Spins the reels to the next spin's result, holds it, then lets playback
+// carry on
+function playReplaySpin(position) {
+    const current = replay;
+    const index = position - current.recording.frames.length;
+    current.position = position;
+    current.spinning = true;
+    highlightWinningSymbols([]);
+    updateReplayPanel();
+
+    spinReels(current.recording.spins[index], () => {
+        if (replay !== current) return;
+        current.spinning = false;
+        showReplaySpin(index);
+        current.timer = setTimeout(() => {
+            current.timer = null;
+        }, REPLAY_SPIN_HOLD / current.speed);
+        updateReplayPanel();
+    });
+}
+
+function showReplaySpin(index) {
+    const result = replay.recording.spins[index];
+    const strips = config.reelStrips[result.stripSet];
+    document.querySelectorAll('.reel').forEach((reel, reelIndex) => {
+        reelPositions[reelIndex] = result.stops[reelIndex];
+        showReelWindow(reel.querySelectorAll('.symbol'), strips[reelIndex], result.stops[reelIndex]);
+    });
+    highlightWinningSymbols(result.winningPositions, result.scatterWin.positions);
+}
+
+// ============================================
+// REPLAY RENDERING
+// ============================================
+
+// Called from animate() in place of the live board
+function drawReplay(elapsed) {
+    const { frames, pockets, modifiers } = replay.recording;
+    const last = frames.length - 1;
+
+    if (replay.playing && !replay.spinning && replay.timer === null) {
+        if (replay.position < last) {
+            replay.progress += elapsed * replay.speed / DropSpin.STEP_MS;
+            const steps = Math.min(Math.floor(replay.progress), last - replay.position);
+            if (steps > 0) {
+                replay.position += steps;
+                replay.progress -= steps;
+                updateReplayPanel();
+            }
+            if (replay.position === last) replay.progress = 0;
+        } else if (replay.position < replayLength() - 1) {
+            playReplaySpin(replay.position + 1);
+        } else {
+            replay.playing = false;
+            updateReplayPanel();
+        }
+    }
+
+    // Balls are drawn between this frame and the next while playing
+    const index = Math.min(replay.position, last);
+    const from = frames[index];
+    const to = frames[Math.min(index + 1, last)];
+
+    drawPlinko(pockets, modifiers);
+    if (replay.debug) {
+        drawReplayDebug(index);
+    }
+    from.balls.forEach((ball, i) => {
+        const next = to.balls[i];
+        drawBall({ prevX: ball.x, prevY: ball.y, x: next.x, y: next.y, radius: ball.radius }, replay.progress);
+    });
+}
+
+// Pocket zones (and the line balls land from), trails, and the pegs hit
+// so far - this frame's filled
+function drawReplayDebug(index) {
+    const { board, frames } = replay.recording;
+    const { width, height, pegs, pocketZones } = board;
+    const shown = frames.slice(0, index + 1);
+    const landedIn = new Set([].concat(...shown.map(frame => frame.landed.map(landed => landed.index))));
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, height - 40);
+    ctx.lineTo(width, height - 40);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'center';
+    pocketZones.forEach((zone, i) => {
+        if (landedIn.has(i)) {
+            ctx.fillStyle = 'rgba(78, 204, 163, 0.4)';
+            ctx.fillRect(zone.x, height - 40, zone.width, 40);
+        }
+        ctx.strokeRect(zone.x, height - 40, zone.width, 40);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(i, zone.x + zone.width / 2, height - 46);
+    });
+    ctx.textAlign = 'start';
+
+    ctx.strokeStyle = 'rgba(78, 204, 163, 0.5)';
+    frames[0].balls.forEach((_, i) => {
+        ctx.beginPath();
+        shown.forEach(frame => ctx.lineTo(frame.balls[i].x, frame.balls[i].y));
+        ctx.stroke();
+    });
+
+    ctx.strokeStyle = '#ffd700';
+    ctx.lineWidth = 2;
+    for (let peg of new Set([].concat(...shown.map(frame => frame.hits.map(hit => hit.peg))))) {
+        ctx.beginPath();
+        ctx.arc(pegs[peg].x, pegs[peg].y, pegs[peg].radius + 3, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    ctx.fillStyle = '#ffd700';
+    for (let hit of frames[index].hits) {
+        ctx.beginPath();
+        ctx.arc(pegs[hit.peg].x, pegs[hit.peg].y, pegs[hit.peg].radius + 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+function updateReplayPanel() {
+    document.getElementById('replayExit').disabled = !replay || replay.spinning;
+    document.getElementById('replayLoad').disabled = replay !== null && replay.spinning;
+    document.querySelectorAll('.replay-control').forEach(button => {
+        button.disabled = !replay || replay.spinning;
+    });
+    document.getElementById('replayPlay').textContent = t(replay && replay.playing ? 'replay.pause' : 'replay.play');
+    document.getElementById('replayPosition').textContent = replay ? describeReplayPosition() : t('replay.noRound');
+}
+
+function describeReplayPosition() {
+    const { frames, spins, pockets } = replay.recording;
+    if (replay.position >= frames.length) {
+        const index = replay.position - frames.length;
+        const result = spins[index];
+        return `${t('round.spin', { spin: `${index + 1} / ${spins.length}` })} • ${t('round.win', { amount: formatMoney(result.winAmount) })}` +
+            `${result.lineWins.length > 0 ? ` • ${result.lineWins.map(win => `${win.symbol}x${win.count}`).join(' ')}` : ''}`;
+    }
+
+    const frame = frames[replay.position];
+    const parts = [t('replay.position', { step: replay.position, steps: frames.length - 1 })];
+    for (let ball of frame.balls) {
+        parts.push(t(ball.landed ? 'replay.ballLanded' : 'replay.ballAt', { ball: ball.id + 1, x: ball.x.toFixed(1), y: ball.y.toFixed(1) }));
+    }
+    for (let hit of frame.hits) {
+        parts.push(t('replay.ballHit', { ball: hit.ball + 1, peg: hit.peg }));
+    }
+    for (let landed of frame.landed) {
+        parts.push(t('replay.ballPocket', { ball: landed.ball + 1, index: landed.index, pocket: pocketName(pockets[landed.index]) }));
+    }
+    return parts.join(' • ');
+}
+
+// What the replay found, against what the log says happened
+function describeReplay(entry, recording) {
+    const { round, pockets } = recording;
+    const replayed = round.pockets.map(index => `${index} (${pocketName(pockets[index])})`).join(', ');
+    const logged = entry.pockets.map(pocket => `${pocket.index} (${loggedPocketName(entry, pocket)})`).join(', ');
+    const same = JSON.stringify(round.pockets) === JSON.stringify(entry.pockets.map(pocket => pocket.index)) &&
+        JSON.stringify(round.spins.map(spin => spin.reelResults)) === JSON.stringify(entry.spins.map(spin => spin.grid)) &&
+        round.win === entry.win;
+
+    const lines = [
+        `${t('round.title', { id: entry.id })} • ${formatDate(entry.timestamp)} • ${t('round.id', { id: entry.roundId })}`,
+        `${t('round.bet', { amount: formatMoney(entry.bet) })} • ${t('fair.risk', { risk: riskName(entry.risk) })} • ` +
+            t('replay.modifiers', { modifiers: describeModifiers(entry.modifiersConsumed) }),
+        t('replay.pockets', { replayed, logged }),
+        t('replay.win', { count: round.spins.length, replayed: formatMoney(round.win), logged: formatMoney(entry.win) }),
+        t(same ? 'replay.matches' : 'replay.differs')
+    ];
+    if (entry.configVersion && entry.configVersion !== config.version) {
+        lines.push(t('replay.configChanged', { played: entry.configVersion, replayed: config.version }));
+    }
+    if (entry.refunded) {
+        lines.push(t('replay.refunded'));
+    } else if (entry.resumed) {
+        lines.push(t('replay.resumed'));
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,180 @@
+/*
+RESPONSIBLE GAMING PANEL
+
+Front end of the player-protection controls (engine/protection.js):
+session clock and net result, deposit and loss limits, the reality-check
+interval, deposits, cool-off and self-exclusion. Shows the reality check
+when it falls due and covers the game while a break is running. dropBall
+and autoplay ask the same PlayerProtection before every drop.
+*/
+
+// ============================================
+// PROTECTION STATE
+// ============================================
+
+const PROTECTION_TICK = 1000; // session clock refresh
+
+function setupResponsiblePanel() {
+    const limits = protection.currentLimits();
+    document.getElementById('rgDepositLimit').value = limits.depositLimit !== null ? fromMinorUnits(limits.depositLimit) : '';
+    document.getElementById('rgLossLimit').value = limits.lossLimit !== null ? fromMinorUnits(limits.lossLimit) : '';
+    document.getElementById('rgRealityCheck').value = limits.realityCheckMinutes;
+    document.getElementById('rgDepositAmount').value = fromMinorUnits(locale.currency.openingBalance / 10);
+
+    document.getElementById('rgSaveLimits').addEventListener('click', saveLimits);
+    document.getElementById('rgDeposit').addEventListener('click', deposit);
+    document.getElementById('rgTakeBreak').addEventListener('click', takeBreak);
+
+    document.getElementById('realityContinue').addEventListener('click', () => {
+        protection.acknowledgeRealityCheck();
+        hideDialog(document.getElementById('realityCheck'));
+        updateStatus(t('status.continue'));
+    });
+    document.getElementById('realityBreak').addEventListener('click', () => {
+        protection.acknowledgeRealityCheck();
+        hideDialog(document.getElementById('realityCheck'));
+        const panel = document.getElementById('responsiblePanel');
+        panel.open = true;
+        panel.querySelector('summary').focus();
+        panel.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    // The reality check waits for the turn in play to finish; a break
+    // lifts itself once it has run out
+    setInterval(() => {
+        if (protection.realityCheckDue() && !controlsLocked) {
+            showRealityCheck();
+        }
+        updateResponsiblePanel();
+        showLock();
+    }, PROTECTION_TICK);
+
+    updateResponsiblePanel();
+    showLock();
+}
+
+// Why dropBall did not drop
+function showProtectionRefusal(refusal) {
+    switch (refusal.reason) {
+        case 'locked':
+            showLock();
+            break;
+        case 'realityCheck':
+            showRealityCheck();
+            break;
+        case 'lossLimit':
+            updateStatus(t('status.lossLimit', { amount: formatMoney(refusal.remaining) }));
+            break;
+        case 'tooSoon':
+            updateStatus(t('status.tooSoon', { seconds: Math.ceil(refusal.waitMs / 1000) }));
+            break;
+    }
+}
+
+// Limits are typed in whole units of the currency and kept in minor
+// units; empty removes one
+function readAmount(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return value >= 0 ? toMinorUnits(value) : null;
+}
+
+function saveLimits() {
+    const pending = protection.setLimits({
+        depositLimit: readAmount('rgDepositLimit'),
+        lossLimit: readAmount('rgLossLimit'),
+        realityCheckMinutes: parseInt(document.getElementById('rgRealityCheck').value, 10)
+    });
+    updateStatus(t(pending ? 'status.limitsPending' : 'status.limitsSaved'));
+    updateResponsiblePanel();
+}
+
+function deposit() {
+    const amount = readAmount('rgDepositAmount');
+    if (!amount) return;
+
+    const refusal = protection.checkDeposit(amount);
+    if (refusal && refusal.reason === 'depositLimit') {
+        updateStatus(t('status.depositLimit', { amount: formatMoney(refusal.remaining) }));
+        return;
+    }
+    if (refusal) {
+        showProtectionRefusal(refusal);
+        return;
+    }
+
+    if (!engine.deposit(amount)) {
+        updateStatus(t('status.depositFailed'));
+        return;
+    }
+    protection.recordDeposit(amount);
+    updateStatus(t('status.deposited', { amount: formatMoney(amount) }));
+    updateUI();
+    updateResponsiblePanel();
+}
+
+function takeBreak() {
+    const [kind, days] = document.getElementById('rgBreak').value.split(':');
+    const length = document.getElementById('rgBreak').selectedOptions[0].textContent;
+    if (!window.confirm(t('responsible.confirmBreak', { length }))) {
+        return;
+    }
+    stopAutoplay('stopped');
+    protection.takeBreak(kind, parseInt(days, 10) * DropSpin.DAY_MS);
+    showLock();
+}
+
+// ============================================
+// PROTECTION RENDERING
+// ============================================
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${Math.floor(minutes / 60) > 0 ? `${Math.floor(minutes / 60)}h ` : ''}${minutes % 60}:${String(seconds).padStart(2, '0')}`;
+}
+
+function updateResponsiblePanel() {
+    const summary = protection.sessionSummary();
+    document.getElementById('rgSessionTime').textContent = formatDuration(summary.elapsedMs);
+    document.getElementById('rgSessionNet').textContent = formatMoney(summary.net);
+    document.getElementById('rgRecentLoss').textContent = formatMoney(Math.max(0, protection.recentLoss()));
+    document.getElementById('rgRecentDeposits').textContent = formatMoney(protection.recentTotal('deposit'));
+
+    const pending = protection.pendingLimits;
+    document.getElementById('rgPending').textContent = pending
+        ? t('responsible.pending', {
+            limits: Object.keys(pending)
+                .map(name => t(`responsible.pending.${name}`, {
+                    amount: pending[name].value === null ? t('responsible.pending.removed') : formatMoney(pending[name].value),
+                    minutes: pending[name].value,
+                    date: formatDate(pending[name].effectiveAt)
+                }))
+                .join(', ')
+        })
+        : '';
+}
+
+function showRealityCheck() {
+    const summary = protection.sessionSummary();
+    stopAutoplay('realityCheck');
+    document.getElementById('realityCheckText').textContent = t('reality.text', {
+        time: formatDuration(summary.elapsedMs),
+        wagered: formatMoney(summary.wagered),
+        won: formatMoney(summary.won),
+        net: formatMoney(summary.net)
+    });
+    showDialog(document.getElementById('realityCheck'));
+}
+
+// Covers the game for as long as a break runs
+function showLock() {
+    const lock = protection.lockedUntil();
+    const overlay = document.getElementById('protectionLock');
+    if (!lock) {
+        hideDialog(overlay);
+        return;
+    }
+    document.getElementById('protectionLockText').textContent =
+        t(lock.kind === 'selfExclusion' ? 'lock.selfExclusion' : 'lock.coolOff', { date: formatDate(lock.until) });
+    showDialog(overlay);
+}
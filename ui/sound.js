@@ -0,0 +1,233 @@
+/*
+SOUND
+
+Procedural Web Audio sound - nothing is loaded, every sound is built from
+oscillators, filtered noise and gain envelopes as it plays:
+
+    peg       short click, higher near the top of the board (engine 'peg')
+    pocket    a chime per pocket type, a rising fanfare for BONUS
+    reels     a whirring loop while the reels turn and a clunk as each stops
+    win       a jingle that grows with the win as a multiple of the bet
+
+Browsers only let an AudioContext start from a user gesture, so it is
+created - or resumed - on the first press or key and nothing plays before.
+Mute and volume are saved in localStorage.
+*/
+
+// ============================================
+// SOUND STATE
+// ============================================
+
+const SOUND_SETTINGS_KEY = 'dropspin.sound';
+const PEG_CLICK_GAP = 30; // ms; a ball's clicks closer than this are merged
+const PEG_TOP_PITCH = 1760; // Hz, the top peg row; each row down is a tone lower
+const POCKET_NOTES = {
+    SPINS: [659, 988],
+    MULTIPLIER: [659, 831, 988, 1319],
+    CASH: [1319, 1760],
+    COLLECT: [1319, 1568, 1760, 2093],
+    BONUS: [523, 659, 784, 1047, 1319, 1568]
+};
+const WIN_SCALE = [523, 587, 659, 784, 880, 1047, 1175, 1319, 1568, 1760]; // major pentatonic
+
+const soundSettings = { muted: false, volume: 0.6 };
+let audio = null; // { context, master, noise, reelLoop } once unlocked
+const lastPegClick = {}; // ball id -> context time of its last click
+
+function setupSound() {
+    const saved = window.localStorage.getItem(SOUND_SETTINGS_KEY);
+    if (saved) Object.assign(soundSettings, JSON.parse(saved));
+
+    const mute = document.getElementById('soundMute');
+    const volume = document.getElementById('soundVolume');
+    volume.value = Math.round(soundSettings.volume * 100);
+    mute.addEventListener('click', () => {
+        soundSettings.muted = !soundSettings.muted;
+        saveSoundSettings();
+    });
+    volume.addEventListener('input', () => {
+        soundSettings.volume = volume.value / 100;
+        soundSettings.muted = false;
+        saveSoundSettings();
+    });
+    updateSoundControls();
+
+    // Autoplay policy: the context may only start from a gesture
+    for (let type of ['pointerdown', 'keydown']) {
+        document.addEventListener(type, unlockAudio);
+    }
+
+    engine.on('peg', ({ ball, row }) => playPegClick(ball, row));
+    engine.on('pocket', ({ pocket }) => playPocket(pocket));
+}
+
+function unlockAudio() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    if (!audio) {
+        const context = new AudioContext();
+        const master = context.createGain();
+        master.connect(context.destination);
+
+        // One second of white noise, shared by every noisy sound
+        const noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+        audio = { context, master, noise, reelLoop: null };
+        applySoundSettings();
+    }
+    if (audio.context.state === 'suspended') {
+        audio.context.resume();
+    }
+}
+
+function saveSoundSettings() {
+    window.localStorage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(soundSettings));
+    applySoundSettings();
+    updateSoundControls();
+}
+
+function applySoundSettings() {
+    if (!audio) return;
+    audio.master.gain.setTargetAtTime(soundSettings.muted ? 0 : soundSettings.volume, audio.context.currentTime, 0.02);
+}
+
+function updateSoundControls() {
+    const mute = document.getElementById('soundMute');
+    mute.textContent = soundSettings.muted || soundSettings.volume === 0 ? '🔇' : '🔊';
+    mute.setAttribute('aria-pressed', String(soundSettings.muted));
+    mute.title = t(soundSettings.muted ? 'sound.unmute' : 'sound.mute');
+}
+
+// Whether anything should be heard now
+function soundOn() {
+    return audio !== null && audio.context.state === 'running' && !soundSettings.muted && soundSettings.volume > 0;
+}
+
+// ============================================
+// SYNTHESIS
+// ============================================
+
+// One enveloped oscillator note, `when` seconds from now
+function playTone(frequency, duration, { type = 'sine', gain = 0.3, when = 0, slideTo = null } = {}) {
+    const { context, master } = audio;
+    const start = context.currentTime + when;
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (slideTo !== null) {
+        oscillator.frequency.exponentialRampToValueAtTime(slideTo, start + duration);
+    }
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(gain, start + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(envelope).connect(master);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.02);
+}
+
+// A burst of band-passed noise
+function playNoise(duration, { frequency = 1000, q = 1, gain = 0.3, when = 0 } = {}) {
+    const { context, master, noise } = audio;
+    const start = context.currentTime + when;
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const envelope = context.createGain();
+
+    source.buffer = noise;
+    filter.type = 'bandpass';
+    filter.frequency.value = frequency;
+    filter.Q.value = q;
+    envelope.gain.setValueAtTime(gain, start);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    source.connect(filter).connect(envelope).connect(master);
+    source.start(start);
+    source.stop(start + duration + 0.02);
+}
+
+// ============================================
+// GAME SOUNDS
+// ============================================
+
+function playPegClick(ball, row) {
+    if (!soundOn()) return;
+    const now = audio.context.currentTime;
+    if (now - (lastPegClick[ball] || 0) < PEG_CLICK_GAP / 1000) return;
+    lastPegClick[ball] = now;
+
+    const pitch = PEG_TOP_PITCH * Math.pow(2, -row * 2 / 12);
+    playTone(pitch, 0.05, { type: 'triangle', gain: 0.12 });
+    playNoise(0.02, { frequency: pitch * 2, q: 4, gain: 0.05 });
+}
+
+function playPocket(pocket) {
+    if (!soundOn()) return;
+    const bonus = pocket.type === 'BONUS';
+    POCKET_NOTES[pocket.type].forEach((note, i) => {
+        playTone(note, bonus ? 0.3 : 0.2, { type: bonus ? 'square' : 'sine', gain: bonus ? 0.12 : 0.2, when: i * (bonus ? 0.08 : 0.07) });
+    });
+}
+
+// A filtered-noise whirr with a ticking wobble, until stopReelLoop()
+function startReelLoop() {
+    if (!soundOn() || audio.reelLoop) return;
+    const { context, master, noise } = audio;
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const level = context.createGain();
+    const wobble = context.createOscillator();
+    const wobbleDepth = context.createGain();
+
+    source.buffer = noise;
+    source.loop = true;
+    filter.type = 'bandpass';
+    filter.frequency.value = 700;
+    filter.Q.value = 3;
+    level.gain.value = 0.08;
+    wobble.frequency.value = 18; // symbols passing
+    wobbleDepth.gain.value = 0.05;
+
+    wobble.connect(wobbleDepth).connect(level.gain);
+    source.connect(filter).connect(level).connect(master);
+    source.start();
+    wobble.start();
+    audio.reelLoop = { source, wobble, level };
+}
+
+function stopReelLoop() {
+    if (!audio || !audio.reelLoop) return;
+    const { source, wobble, level } = audio.reelLoop;
+    const end = audio.context.currentTime + 0.1;
+    level.gain.setTargetAtTime(0, audio.context.currentTime, 0.03);
+    source.stop(end);
+    wobble.stop(end);
+    audio.reelLoop = null;
+}
+
+function playReelStop(reelIndex) {
+    if (!soundOn()) return;
+    playTone(140 - reelIndex * 8, 0.12, { gain: 0.35, slideTo: 60 });
+    playNoise(0.05, { frequency: 400, q: 1, gain: 0.15 });
+}
+
+// More, higher notes the bigger the win is against the bet
+function playWinJingle(multiple) {
+    if (!soundOn()) return;
+    const length = Math.min(WIN_SCALE.length, 3 + Math.floor(Math.log2(1 + multiple) * 1.5));
+    const gap = length > 6 ? 0.09 : 0.12;
+    for (let i = 0; i < length; i++) {
+        playTone(WIN_SCALE[i], 0.25, { type: 'triangle', gain: 0.2, when: i * gap });
+    }
+    // Big wins end on a held chord
+    if (length > 6) {
+        for (let note of [WIN_SCALE[length - 3], WIN_SCALE[length - 2], WIN_SCALE[length - 1]]) {
+            playTone(note, 0.9, { type: 'sawtooth', gain: 0.06, when: length * gap });
+        }
+    }
+}
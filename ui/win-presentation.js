@@ -0,0 +1,190 @@
+/*
+WIN PRESENTATION
+
+Plays out a winning spin: each winning payline in turn, its path drawn
+over the reels with its symbol, count and amount (a ways win lights the
+cells of its symbol instead, a scatter pay its scatters), then every
+winning cell at once while the total counts up in winDisplay. A total of
+config.winTiers x bet or more is celebrated as a big, mega or epic win,
+with a longer count-up. Clicking the reels skips straight to the total.
+*/
+
+// ============================================
+// PRESENTATION STATE
+// ============================================
+
+const WIN_LINE_MS = 1200;      // each line or scatter pay is shown this long
+const WIN_COUNT_UP_MS = 1000;  // count-up of a win below the big tier
+const WIN_TIER_COUNT_UP_MS = { big: 2500, mega: 4000, epic: 6000 };
+const WIN_HOLD_MS = 1000;      // the counted-up total stays before play goes on
+const PAYLINE_BADGE_X = 10;    // centre of the line number, in the reels' padding
+const PAYLINE_COLOURS = ['#e94560', '#4ecca3', '#ffd700', '#a855f7', '#3b82f6', '#ff6b9d', '#f97316', '#22d3ee', '#84cc16', '#f43f5e'];
+
+let winPresentation = null; // { result, onDone, timer, frame }
+
+function setupWinPresentation() {
+    for (let id of ['reelsContainer', 'winCelebration', 'winDisplay']) {
+        document.getElementById(id).addEventListener('click', skipWinPresentation);
+    }
+}
+
+// Presents a spinResult with a win, then calls onDone
+function presentWin(result, onDone) {
+    winPresentation = { result, onDone, timer: null, frame: null };
+    document.getElementById('winDisplay').style.display = 'block';
+    document.getElementById('winAmount').textContent = formatMoney(0);
+    const tier = winTier(result);
+    const breakdown = describeWin(result);
+    announce(`${tier ? `${t(`win.tier.${tier}`)} ` : ''}${t('announce.win', { amount: formatMoney(result.winAmount), breakdown })}`);
+    showWinPart(winParts(result), 0);
+}
+
+// The tier a spin's win reaches against the bet it was played at, or null
+function winTier({ winAmount, bet }) {
+    const multiple = winAmount / bet;
+    return ['epic', 'mega', 'big'].find(tier => multiple >= config.winTiers[tier]) || null;
+}
+
+// One part per line (or ways) win and one for a scatter pay:
+// { cells, line, caption }, line being the payline index to draw, if any
+function winParts({ lineWins, scatterWin, multiplier, reelResults, bet }) {
+    const pays = amount => formatMoney(Math.round(amount * multiplier * bet)) +
+        (multiplier > 1 ? ` (${formatNumber(multiplier)}x)` : '');
+    const parts = lineWins.map(win => {
+        if (win.ways) {
+            const isMatch = cell => cell === win.symbol || cell === config.symbols.WILD;
+            const cells = [];
+            for (let reel = 0; reel < win.count; reel++) {
+                reelResults[reel].forEach((cell, row) => {
+                    if (isMatch(cell)) cells.push(`${reel}-${row}`);
+                });
+            }
+            return { cells, line: null, caption: `${win.symbol} x${win.count} • ${t('win.waysCount', { count: win.ways })} • ${pays(win.amount)}` };
+        }
+        const payline = config.paylines[win.line];
+        return {
+            cells: payline.slice(0, win.count).map((row, reel) => `${reel}-${row}`),
+            line: win.line,
+            caption: `${t('win.line', { line: win.line + 1 })}: ${win.symbol} x${win.count} • ${pays(win.amount)}`
+        };
+    });
+    if (scatterWin.amount > 0) {
+        parts.push({
+            cells: scatterWin.positions,
+            scatter: true,
+            line: null,
+            caption: `${config.scatter.symbol} x${scatterWin.count} ${t('win.scatter')} • ${pays(scatterWin.amount)}`
+        });
+    }
+    return parts;
+}
+
+function showWinPart(parts, index) {
+    if (index === parts.length) {
+        countUpWin();
+        return;
+    }
+
+    const part = parts[index];
+    highlightWinningSymbols(part.cells, part.scatter ? part.cells : []);
+    drawPayline(part.line);
+    document.getElementById('winBreakdown').textContent = part.caption;
+    winPresentation.timer = setTimeout(() => showWinPart(parts, index + 1), presentationDelay(WIN_LINE_MS));
+}
+
+function countUpWin() {
+    const { result } = winPresentation;
+    const tier = winTier(result);
+    showWinTotal();
+    playWinJingle(result.winAmount / result.bet);
+    document.getElementById('winAmount').textContent = formatMoney(0);
+    if (tier) {
+        const celebration = document.getElementById('winCelebration');
+        celebration.className = `win-celebration ${tier}`;
+        celebration.textContent = t(`win.tier.${tier}`);
+        celebration.style.display = 'block';
+    }
+
+    const duration = presentationDelay(tier ? WIN_TIER_COUNT_UP_MS[tier] : WIN_COUNT_UP_MS);
+    const start = performance.now();
+    const tick = now => {
+        const progress = Math.min(1, (now - start) / duration);
+        document.getElementById('winAmount').textContent = formatMoney(Math.round(result.winAmount * progress));
+        if (progress < 1) {
+            winPresentation.frame = requestAnimationFrame(tick);
+        } else {
+            winPresentation.frame = null;
+            winPresentation.timer = setTimeout(endWinPresentation, presentationDelay(WIN_HOLD_MS));
+        }
+    };
+    winPresentation.frame = requestAnimationFrame(tick);
+}
+
+// Every winning cell and the whole win
+function showWinTotal() {
+    const { result } = winPresentation;
+    highlightWinningSymbols(result.winningPositions, result.scatterWin.positions);
+    drawPayline(null);
+    document.getElementById('winAmount').textContent = formatMoney(result.winAmount);
+    document.getElementById('winBreakdown').textContent = describeWin(result);
+}
+
+function skipWinPresentation() {
+    if (!winPresentation) return;
+    showWinTotal();
+    endWinPresentation();
+}
+
+// The total stays in winDisplay until the next spin starts
+function endWinPresentation() {
+    const { onDone, timer, frame } = winPresentation;
+    clearTimeout(timer);
+    cancelAnimationFrame(frame);
+    document.getElementById('winCelebration').style.display = 'none';
+    winPresentation = null;
+    onDone();
+}
+
+// ============================================
+// PAYLINE OVERLAY
+// ============================================
+
+// Draws payline `line` through the centres of its cells; null clears it
+function drawPayline(line) {
+    const overlay = document.getElementById('paylineOverlay');
+    overlay.innerHTML = '';
+    if (line === null) return;
+
+    const origin = overlay.getBoundingClientRect();
+    const points = config.paylines[line].map((row, reel) => {
+        const cell = document.querySelector(`.reel[data-reel="${reel}"] .symbol[data-row="${row}"]`).getBoundingClientRect();
+        return [cell.left + cell.width / 2 - origin.left, cell.top + cell.height / 2 - origin.top];
+    });
+    // The line's number sits in the margin, level with its first cell
+    points.unshift([PAYLINE_BADGE_X, points[0][1]]);
+
+    const svg = 'http://www.w3.org/2000/svg';
+    const colour = PAYLINE_COLOURS[line % PAYLINE_COLOURS.length];
+    const path = document.createElementNS(svg, 'polyline');
+    path.setAttribute('points', points.map(point => point.join(',')).join(' '));
+    path.setAttribute('stroke', colour);
+    path.style.color = colour;
+    overlay.appendChild(path);
+
+    const [x, y] = points[0];
+    const badge = document.createElementNS(svg, 'circle');
+    badge.setAttribute('cx', x);
+    badge.setAttribute('cy', y);
+    badge.setAttribute('r', 12);
+    badge.setAttribute('fill', colour);
+    overlay.appendChild(badge);
+    const label = document.createElementNS(svg, 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y + 4);
+    label.setAttribute('text-anchor', 'middle');
+    label.setAttribute('fill', '#fff');
+    label.setAttribute('font-size', '12');
+    label.setAttribute('font-weight', 'bold');
+    label.textContent = line + 1;
+    overlay.appendChild(label);
+}